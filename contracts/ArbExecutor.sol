@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function allowance(address owner, address spender) external view returns (uint256);
+}
+
+interface IERC20Permit {
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+}
+
+/// @dev Uniswap Permit2, SignatureTransfer half
+interface ISignatureTransfer {
+    struct TokenPermissions { address token; uint256 amount; }
+    struct PermitTransferFrom { TokenPermissions permitted; uint256 nonce; uint256 deadline; }
+    struct SignatureTransferDetails { address to; uint256 requestedAmount; }
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
+
+/// @title ArbExecutor
+/// @notice Runs every leg of an arbitrage in one transaction. The caller's
+/// start tokens are pulled in, each router call is made in order, and the
+/// whole thing reverts unless at least `amountIn + minProfit` comes back.
+/// Nothing is left in the contract: the proceeds go back to the caller.
+/// Start tokens come in by allowance, an EIP-2612 permit or a Permit2
+/// signature, so a wallet never needs an approve tx for this contract.
+contract ArbExecutor {
+    /// @dev Leave a call's calldata untouched (no amountIn patch).
+    uint256 public constant NO_PATCH = type(uint256).max;
+
+    struct RouterCall {
+        address target;          // router to call
+        address tokenIn;         // token the call spends; approved to `target`
+        uint256 amountInOffset;  // byte offset in `data` to overwrite with our tokenIn balance, or NO_PATCH
+        bytes data;              // calldata; swaps must send their output to this contract
+    }
+
+    struct Permit {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    address public owner;
+    address public immutable permit2;
+    mapping(address => bool) public operators;
+
+    event Executed(address indexed caller, address indexed startToken, uint256 amountIn, uint256 amountOut);
+    event OperatorSet(address indexed operator, bool allowed);
+
+    error NotOwner();
+    error NotOperator();
+    error BadOffset(uint256 index);
+    error CallFailed(uint256 index, bytes reason);
+    error NotProfitable(uint256 amountOut, uint256 required);
+    error TokenTransferFailed(address token);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    constructor(address permit2_) {
+        owner = msg.sender;
+        permit2 = permit2_;
+        operators[msg.sender] = true;
+        emit OperatorSet(msg.sender, true);
+    }
+
+    function setOperator(address operator, bool allowed) external onlyOwner {
+        operators[operator] = allowed;
+        emit OperatorSet(operator, allowed);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        owner = newOwner;
+    }
+
+    /// @notice Pull `amountIn` of `startToken` from the caller, run `calls`, and
+    /// send everything back. Reverts unless the loop returns amountIn + minProfit.
+    /// @return amountOut start tokens returned to the caller
+    function execute(address startToken, uint256 amountIn, uint256 minProfit, RouterCall[] calldata calls)
+        external
+        returns (uint256 amountOut)
+    {
+        if (!operators[msg.sender]) revert NotOperator();
+        _safeCall(startToken, abi.encodeWithSignature("transferFrom(address,address,uint256)", msg.sender, address(this), amountIn));
+        return _run(startToken, amountIn, minProfit, calls);
+    }
+
+    /// @notice execute(), with the caller's EIP-2612 permit for this contract in place of an allowance.
+    function executeWithPermit(address startToken, uint256 amountIn, uint256 minProfit, RouterCall[] calldata calls, Permit calldata p)
+        external
+        returns (uint256 amountOut)
+    {
+        if (!operators[msg.sender]) revert NotOperator();
+        // A permit copied out of the mempool and used first still leaves the allowance in place
+        try IERC20Permit(startToken).permit(msg.sender, address(this), p.value, p.deadline, p.v, p.r, p.s) {} catch {}
+        _safeCall(startToken, abi.encodeWithSignature("transferFrom(address,address,uint256)", msg.sender, address(this), amountIn));
+        return _run(startToken, amountIn, minProfit, calls);
+    }
+
+    /// @notice execute(), pulling the start tokens through Permit2 with the caller's signature.
+    function executeWithPermit2(
+        address startToken,
+        uint256 amountIn,
+        uint256 minProfit,
+        RouterCall[] calldata calls,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256 amountOut) {
+        if (!operators[msg.sender]) revert NotOperator();
+        ISignatureTransfer(permit2).permitTransferFrom(
+            ISignatureTransfer.PermitTransferFrom(ISignatureTransfer.TokenPermissions(startToken, amountIn), nonce, deadline),
+            ISignatureTransfer.SignatureTransferDetails(address(this), amountIn),
+            msg.sender,
+            signature
+        );
+        return _run(startToken, amountIn, minProfit, calls);
+    }
+
+    function _run(address startToken, uint256 amountIn, uint256 minProfit, RouterCall[] calldata calls)
+        private
+        returns (uint256 amountOut)
+    {
+        for (uint256 i = 0; i < calls.length; i++) {
+            RouterCall calldata c = calls[i];
+            bytes memory data = c.data;
+            uint256 held = IERC20(c.tokenIn).balanceOf(address(this));
+
+            if (c.amountInOffset != NO_PATCH) {
+                uint256 offset = c.amountInOffset;
+                if (offset + 32 > data.length) revert BadOffset(i);
+                assembly {
+                    mstore(add(add(data, 32), offset), held)
+                }
+            }
+
+            _approveIfNeeded(c.tokenIn, c.target, held);
+            (bool ok, bytes memory reason) = c.target.call(data);
+            if (!ok) revert CallFailed(i, reason);
+        }
+
+        // The contract holds nothing between calls, so its whole balance is the loop's output
+        amountOut = IERC20(startToken).balanceOf(address(this));
+        uint256 required = amountIn + minProfit;
+        if (amountOut < required) revert NotProfitable(amountOut, required);
+
+        _safeCall(startToken, abi.encodeWithSignature("transfer(address,uint256)", msg.sender, amountOut));
+        emit Executed(msg.sender, startToken, amountIn, amountOut);
+    }
+
+    /// @notice Recover tokens sent here by mistake.
+    function rescue(address token, address to, uint256 amount) external onlyOwner {
+        _safeCall(token, abi.encodeWithSignature("transfer(address,uint256)", to, amount));
+    }
+
+    function _approveIfNeeded(address token, address spender, uint256 amount) private {
+        if (IERC20(token).allowance(address(this), spender) >= amount) return;
+        // Some tokens (USDT) refuse to change a non-zero allowance
+        _safeCall(token, abi.encodeWithSignature("approve(address,uint256)", spender, 0));
+        _safeCall(token, abi.encodeWithSignature("approve(address,uint256)", spender, type(uint256).max));
+    }
+
+    // ERC20 call that tolerates tokens returning nothing instead of `true`
+    function _safeCall(address token, bytes memory data) private {
+        (bool ok, bytes memory ret) = token.call(data);
+        if (!ok || (ret.length > 0 && !abi.decode(ret, (bool)))) revert TokenTransferFailed(token);
+    }
+}
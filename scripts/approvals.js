@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// scripts/approvals.js
+// List, revoke or pre-approve the wallet pool's ERC-20 approvals.
+//   node scripts/approvals.js list                 Outstanding approvals (known tokens x allowlisted spenders)
+//   node scripts/approvals.js revoke               Revoke every outstanding approval
+//   node scripts/approvals.js approve              Approve held tokens for allowlisted spenders (APPROVAL_POLICY)
+// Options:
+//   --wallet 0x...               One pool wallet (default: every wallet in the pool)
+//   --token 0x...                Only this token
+//   --spender <0x...|name>       Only this spender (approve also takes a router name, e.g. aerodrome)
+//   --fromBlock <n>              Also scan Approval logs from this block (finds spenders outside the allowlist)
+//   --toBlock <n>                End of the scan (default latest)
+//   --step <blocks>              Block span per getLogs request (default WALLET_SCAN_STEP or 500)
+//   --json                       Print rows as JSON
+//
+require('dotenv').config();
+const walletPool = require('../src/js/walletPool');
+const approvals = require('../src/js/approvals');
+
+const args = process.argv.slice(2);
+function getArg(name, def=null){
+  const i = args.indexOf(`--${name}`);
+  if (i >= 0 && args[i+1]) return args[i+1];
+  return def;
+}
+function toBigOrNull(v){
+  if (v == null) return null;
+  try { return BigInt(v); } catch { return null; }
+}
+
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+const walletArg = getArg('wallet');
+const token = getArg('token');
+const spender = getArg('spender');
+const scan = {
+  fromBlock: toBigOrNull(getArg('fromBlock')),
+  toBlock: toBigOrNull(getArg('toBlock')),
+  step: Number(getArg('step', process.env.WALLET_SCAN_STEP || '500')) || 500
+};
+const asJson = args.includes('--json');
+
+function amount(r){
+  return r.unlimited ? 'unlimited' : r.allowance;
+}
+
+function print(rows, line){
+  if (asJson) return console.log(JSON.stringify(rows, null, 2));
+  if (!rows.length) return console.log('  (none)');
+  rows.forEach(r => console.log('  ' + line(r)));
+}
+
+(async () => {
+  const wallets = walletArg ? [walletArg] : walletPool.addresses();
+
+  for (const w of wallets) {
+    const signer = walletPool.signer(w);
+    const owner = await signer.getAddress();
+    if (walletArg && owner.toLowerCase() !== walletArg.toLowerCase()) {
+      throw new Error(`${walletArg} is not in the wallet pool`);
+    }
+    console.log(`[approvals] ${command} for ${owner}`);
+
+    if (command === 'list') {
+      const rows = (await approvals.list(owner, { ...scan, provider: signer.provider }))
+        .filter(r => (!token || r.token.toLowerCase() === token.toLowerCase()) && (!spender || r.spender.toLowerCase() === spender.toLowerCase()));
+      print(rows, r => `${r.symbol.padEnd(10)} ${r.token} -> ${r.spenderName || r.spender}${r.allowlisted ? '' : ' ⚠️  not allowlisted'}: ${amount(r)}`);
+    } else if (command === 'revoke') {
+      const rows = await approvals.revokeAll(signer, { token, spender, ...scan });
+      print(rows, r => `${r.revoked ? '✅' : '❌'} ${r.symbol} -> ${r.spenderName || r.spender}${r.txHash ? ` (${r.txHash})` : ''}${r.error ? `: ${r.error}` : ''}`);
+    } else if (command === 'approve') {
+      const rows = await approvals.approveHeld(signer, { token, spender });
+      print(rows, r => `${r.success ? '✅' : '❌'} ${r.symbol} -> ${r.spenderName}${r.txHash ? ` (${r.txHash})` : r.success ? ' (already approved)' : ''}${r.error ? `: ${r.error}` : ''}`);
+    } else {
+      throw new Error(`Unknown command "${command}" (list | revoke | approve)`);
+    }
+  }
+})().catch(e => {
+  console.error(`[approvals] ❌ ${e.shortMessage || e.message}`);
+  process.exit(1);
+});
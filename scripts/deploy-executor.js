@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// scripts/deploy-executor.js
+// Compile contracts/ArbExecutor.sol and deploy it, by default to a local
+// anvil/hardhat node (http://127.0.0.1:8545, first dev account).
+// Options:
+//   --rpc <url>                  RPC to deploy to (default DEPLOY_RPC_URL or http://127.0.0.1:8545)
+//   --operators 0xA,0xB          Extra addresses allowed to call execute() (default: the wallet pool, if configured)
+//   --allow-live                 Deploy to a chain that isn't a local dev node (chain id 31337/1337)
+//   --evm-version <v>            Compile for an older EVM (e.g. paris) if the node predates cancun
+//   --permit2 <addr>             Permit2 the contract pulls through (default PERMIT2_ADDRESS or Uniswap's canonical one)
+//
+// Deployer key: DEPLOYER_PRIVATE_KEY, else anvil/hardhat's first dev account.
+// Put the printed address in ARB_EXECUTOR_ADDRESS to enable atomic execution.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const args = process.argv.slice(2);
+function getArg(name, def=null){
+  const i = args.indexOf(`--${name}`);
+  if (i >= 0 && args[i+1]) return args[i+1];
+  return def;
+}
+
+// Well-known anvil/hardhat account #0; never holds real funds
+const DEV_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+const CANONICAL_PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+const SOURCE = path.resolve(__dirname, '..', 'contracts', 'ArbExecutor.sol');
+
+const rpcUrl = getArg('rpc', process.env.DEPLOY_RPC_URL || 'http://127.0.0.1:8545');
+const allowLive = args.includes('--allow-live');
+const evmVersion = getArg('evm-version', process.env.DEPLOY_EVM_VERSION || null);
+const permit2 = getArg('permit2', process.env.PERMIT2_ADDRESS || CANONICAL_PERMIT2);
+
+function compile() {
+  let solc;
+  try { solc = require('solc'); }
+  catch { throw new Error('solc is not installed: run `npm install` (it is a devDependency)'); }
+
+  const input = {
+    language: 'Solidity',
+    sources: { 'ArbExecutor.sol': { content: fs.readFileSync(SOURCE, 'utf8') } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      ...(evmVersion ? { evmVersion } : {}),
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  const out = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (out.errors || []).filter(e => e.severity === 'error');
+  if (errors.length) throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  const c = out.contracts['ArbExecutor.sol'].ArbExecutor;
+  return { abi: c.abi, bytecode: '0x' + c.evm.bytecode.object, version: solc.version() };
+}
+
+function operatorList() {
+  const fromArg = getArg('operators', process.env.DEPLOY_OPERATORS || '');
+  if (fromArg) return fromArg.split(',').map(s => s.trim()).filter(Boolean);
+  try { return require('../src/js/walletPool').addresses(); } catch { return []; }
+}
+
+(async () => {
+  const { abi, bytecode, version } = compile();
+  console.log(`[deploy] Compiled ArbExecutor with solc ${version}`);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId) && !allowLive) {
+    throw new Error(`Chain ${chainId} at ${rpcUrl} is not a local dev node; pass --allow-live to deploy anyway`);
+  }
+
+  const key = process.env.DEPLOYER_PRIVATE_KEY || DEV_KEY;
+  if (key === DEV_KEY && !LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error('Set DEPLOYER_PRIVATE_KEY to deploy outside a local dev node');
+  }
+  const deployer = new ethers.Wallet(key, provider);
+  console.log(`[deploy] Deploying from ${deployer.address} to chain ${chainId} (${rpcUrl})`);
+
+  const factory = new ethers.ContractFactory(abi, bytecode, deployer);
+  const contract = await factory.deploy(ethers.getAddress(permit2));
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  console.log(`[deploy] ✅ ArbExecutor at ${address} (Permit2 ${permit2})`);
+
+  for (const op of operatorList()) {
+    if (op.toLowerCase() === deployer.address.toLowerCase()) continue;
+    const tx = await contract.setOperator(op, true);
+    await tx.wait();
+    console.log(`[deploy] Operator added: ${op}`);
+  }
+
+  console.log(`\nARB_EXECUTOR_ADDRESS=${address}`);
+})().catch(e => {
+  console.error(`[deploy] ❌ ${e.shortMessage || e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// scripts/find-cycles.js
+// One-shot triangular / multi-hop cycle search over the configured pair list (no execution)
+// Options:
+//   --probeUsd <n>    USD size used to price each edge (default CYCLE_PROBE_USD or BASE_TRADE_USD)
+//   --top      <n>    How many cycles to print (default 10)
+//
+require('dotenv').config();
+const { loadPairs } = require('../src/js/chainWorker');
+const { findCycles } = require('../src/js/cycleFinder');
+
+const args = process.argv.slice(2);
+function getArg(name, def=null){
+  const i = args.indexOf(`--${name}`);
+  if (i >= 0 && args[i+1]) return args[i+1];
+  return def;
+}
+
+(async () => {
+  const pairs = loadPairs();
+  const probeUsd = Number(getArg('probeUsd', process.env.CYCLE_PROBE_USD || process.env.BASE_TRADE_USD || '15'));
+  const top = Number(getArg('top', '10')) || 10;
+
+  console.log(`[find-cycles] ${pairs.length} pairs, probe $${probeUsd}`);
+  const cycles = await findCycles(pairs, { probeUsd });
+  for (const c of cycles.slice(0, top)) {
+    const pct = ((c.grossRate - 1) * 100).toFixed(3);
+    console.log(`[find-cycles] +${pct}% (pre-gas)  ${c.path.join(' -> ')}  via ${c.routers.join(',')}`);
+  }
+  console.log(`[find-cycles] done — ${cycles.length} negative cycles`);
+})().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
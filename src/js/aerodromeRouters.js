@@ -1,11 +1,21 @@
 const { ethers } = require('ethers');
 const cfg = require('./multichainConfig');
+const { currentBlock } = require('./blockWatcher');
+const walletPool = require('./walletPool');
+const nonces = require('./nonceManager');
+const feeEngine = require('./feeEngine');
+const { receiptFees } = require('./l1Fee');
+const { simulateSwap } = require('./swapSimulation');
+const { actualAmounts } = require('./reconcile');
+const approvals = require('./approvals');
+const slippageModel = require('./slippageModel');
+const txJournal = require('./txJournal');
 
 function provider(){ return new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, cfg.EVM_CHAIN_ID); }
 
-// Aerodrome contracts on Base
-const AERODROME_ROUTER = '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43';
-const AERODROME_FACTORY = '0x420DD381b31aEf6683db6B902084cB0FFECe40Da';
+// Aerodrome on Base, Velodrome on Optimism; empty where the chain has no Solidly venue
+const AERODROME_ROUTER = cfg.AERODROME_ROUTER;
+const AERODROME_FACTORY = cfg.AERODROME_FACTORY;
 
 // Aerodrome Router ABI
 const AERODROME_ROUTER_ABI = [
@@ -17,10 +27,12 @@ const AERODROME_ROUTER_ABI = [
 
 // Get quote from Aerodrome
 async function quoteAerodrome(tokenIn, tokenOut, amountIn) {
+  if (!AERODROME_ROUTER) return null;
   console.log(`[aerodrome] Getting quote: ${tokenIn} -> ${tokenOut}`);
   
   try {
     const router = new ethers.Contract(AERODROME_ROUTER, AERODROME_ROUTER_ABI, provider());
+    const blockNumber = currentBlock();
     
     // Simple path: tokenIn -> tokenOut
     const path = [tokenIn, tokenOut];
@@ -30,14 +42,17 @@ async function quoteAerodrome(tokenIn, tokenOut, amountIn) {
     
     console.log(`[aerodrome] Quote: ${ethers.formatEther(amountIn)} -> ${Number(amountOut) / 1e6} USDC`);
     
-    return {
+    const quote = {
       router: 'aerodrome',
       buyAmount: amountOut.toString(),
       sellToken: tokenIn,
       buyToken: tokenOut,
       sellAmount: amountIn.toString(),
-      path: path
+      path: path,
+      blockNumber
     };
+    slippageModel.observeQuote(quote);
+    return quote;
     
   } catch (e) {
     console.log(`[aerodrome] Quote failed: ${e.message}`);
@@ -46,68 +61,100 @@ async function quoteAerodrome(tokenIn, tokenOut, amountIn) {
 }
 
 // Execute trade on Aerodrome
-async function execAerodrome(normQuote, pair, estNetUsd) {
+async function execAerodrome(normQuote, pair, estNetUsd, from) {
+  if (!AERODROME_ROUTER) return { success: false, error: `no Aerodrome-style router configured for ${cfg.EVM_CHAIN}` };
   console.log(`[aerodrome] Executing trade for ${pair}`);
+  let journal = null;
   
   try {
-    const wallet = new ethers.Wallet(cfg.EVM_PRIVATE_KEY, provider());
+    const wallet = walletPool.signer(from);
+    const timeoutMs = Number(process.env.SWAP_TIMEOUT_MS || 120000);
     const router = new ethers.Contract(AERODROME_ROUTER, AERODROME_ROUTER_ABI, wallet);
     
-    // Ensure WETH approval
-    const ERC20_ABI = [
-      'function approve(address spender, uint256 value) returns (bool)',
-      'function allowance(address owner, address spender) view returns (uint256)'
-    ];
-    
-    const tokenContract = new ethers.Contract(normQuote.sellToken, ERC20_ABI, wallet);
     const owner = await wallet.getAddress();
-    
-    const currentAllowance = await tokenContract.allowance(owner, AERODROME_ROUTER);
-    const requiredAmount = ethers.toBigInt(normQuote.sellAmount);
-    
-    if (currentAllowance < requiredAmount) {
-      console.log(`[aerodrome] Approving ${ethers.formatEther(requiredAmount)} tokens...`);
-      const approveTx = await tokenContract.approve(AERODROME_ROUTER, ethers.MaxUint256);
-      await approveTx.wait();
-      console.log(`[aerodrome] Approval successful`);
+    journal = txJournal.begin({
+      pair, router: 'aerodrome', from: owner, sellToken: normQuote.sellToken, buyToken: normQuote.buyToken,
+      sellAmount: normQuote.sellAmount, buyAmount: normQuote.buyAmount, breakEvenOut: normQuote.breakEvenOut, estNetUsd,
+      sellUsd: normQuote.sellUsd, buyUsd: normQuote.buyUsd, gasUsd: normQuote.gasUsd, trip: normQuote.trip
+    });
+    const approval = await approvals.ensure(wallet, normQuote.sellToken, AERODROME_ROUTER, ethers.toBigInt(normQuote.sellAmount), { pair, router: 'aerodrome' });
+    if (!approval.success) {
+      txJournal.step(journal, 'failed', { error: `Approval failed: ${approval.error}` });
+      return { success: false, pending: !!approval.pending, txHash: '', error: `Approval failed: ${approval.error}` };
     }
     
-    // Calculate minimum output with slippage
+    txJournal.step(journal, 'approved', { approvalTx: approval.txHash });
+    
+    // minOut from the pool's recent volatility and past fills, never below break-even
     const buyAmount = ethers.toBigInt(normQuote.buyAmount);
-    const slippageBps = BigInt(process.env.SAFETY_SLIPPAGE_BPS || '500'); // 5% default
-    const minOut = buyAmount - (buyAmount * slippageBps / 10000n);
+    const fixedBps = Number(process.env.SAFETY_SLIPPAGE_BPS || '500'); // 5% default
+    const slip = slippageModel.minOut({ pair, router: 'aerodrome', quote: normQuote, fixedBps });
+    const minOut = slip.minOut;
     
     console.log(`[aerodrome] Expected: ${Number(buyAmount) / 1e6} USDC`);
     console.log(`[aerodrome] Min out: ${Number(minOut) / 1e6} USDC`);
     
     const deadline = Math.floor(Date.now() / 1000) + 600; // 10 minutes
     
-    // Execute swap
-    const tx = await router.swapExactTokensForTokens(
-      ethers.toBigInt(normQuote.sellAmount),
-      minOut,
-      normQuote.path,
-      owner,
-      deadline,
+    // Dry-run the exact swap; a revert or a losing fill is skipped without paying gas
+    const swapArgs = [ethers.toBigInt(normQuote.sellAmount), minOut, normQuote.path, owner, deadline];
+    const sim = await simulateSwap(router, swapArgs, owner, normQuote.breakEvenOut);
+    if (!sim.ok) {
+      console.log(`[aerodrome] Not sending: ${sim.reason}`);
+      txJournal.step(journal, 'skipped', { error: sim.reason });
+      return { success: false, simulated: true, txHash: '', error: sim.reason, slippage: slip.inputs };
+    }
+    
+    // Execute swap at the fee tier profitGuard priced it at
+    const fees = await feeEngine.quote({ provider: wallet.provider, urgency: normQuote.feeUrgency, profitUsd: estNetUsd });
+    const swapReq = await router.swapExactTokensForTokens.populateTransaction(
+      ...swapArgs,
       {
-        gasLimit: 200000 // Conservative gas limit
+        gasLimit: 200000, // Conservative gas limit
+        ...feeEngine.txFields(fees)
       }
     );
+    const tx = await nonces.send(wallet, swapReq, 'swap', { pair, router: 'aerodrome', journal });
     
     console.log(`[aerodrome] Transaction submitted: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const waited = await nonces.waitForTx(wallet, tx, timeoutMs);
+    if (waited.outcome !== 'mined') {
+      // A pending swap's entry stays open for the next boot to settle
+      if (waited.outcome === 'cancelled') txJournal.step(journal, 'dropped', { hash: waited.hash });
+      return {
+        success: false,
+        pending: waited.outcome === 'pending',
+        cancelled: waited.outcome === 'cancelled',
+        txHash: waited.hash,
+        error: waited.outcome === 'pending' ? 'Swap still pending' : `Swap timed out after ${timeoutMs}ms and was cancelled`,
+        ...(waited.receipt ? await receiptFees(wallet.provider, waited.receipt) : {}) // a mined cancel paid gas
+      };
+    }
+    const receipt = waited.receipt;
     
     console.log(`[aerodrome] Trade ${receipt.status === 1 ? 'successful' : 'failed'}`);
     console.log(`[aerodrome] Gas used: ${receipt.gasUsed.toString()}`);
     
+    const actual = actualAmounts(receipt, owner, normQuote.sellToken, normQuote.buyToken);
+    if (receipt.status === 1) {
+      approvals.spent(owner, normQuote.sellToken, AERODROME_ROUTER, actual.sellAmount || normQuote.sellAmount);
+      if (actual.buyAmount) slippageModel.observeFill(pair, 'aerodrome', buyAmount, actual.buyAmount);
+    }
+    txJournal.step(journal, receipt.status === 1 ? 'confirmed' : 'reverted', { hash: receipt.hash, sellAmount: actual.sellAmount, buyAmount: actual.buyAmount });
     return {
       success: receipt.status === 1,
       txHash: receipt.hash,
-      gasUsed: receipt.gasUsed.toString()
+      gasUsed: receipt.gasUsed.toString(),
+      sellAmount: actual.sellAmount || normQuote.sellAmount,
+      buyAmount: actual.buyAmount || normQuote.buyAmount,
+      approvalTx: approval.txHash,
+      ...(receipt.status === 1 ? {} : { error: 'Swap reverted on-chain', slippage: slip.inputs }),
+      ...(await receiptFees(wallet.provider, receipt))
     };
     
   } catch (e) {
     console.log(`[aerodrome] Execution error: ${e.reason || e.message}`);
+    txJournal.step(journal, 'failed', { error: e.reason || e.message });
     return {
       success: false,
       txHash: '',
@@ -118,5 +165,6 @@ async function execAerodrome(normQuote, pair, estNetUsd) {
 
 module.exports = {
   quoteAerodrome,
-  execAerodrome
+  execAerodrome,
+  AERODROME_ROUTER
 };
\ No newline at end of file
@@ -0,0 +1,488 @@
+// src/js/approvals.js - every ERC-20 approval the bot makes goes through here
+// Executors call ensure() before spending a token. It only approves spenders on
+// the allowlist (the chain's configured routers, ARB_EXECUTOR_ADDRESS and
+// APPROVAL_SPENDERS), approves either unlimited or exactly what the trade needs
+// per APPROVAL_POLICY / APPROVAL_POLICY_TOKENS, and caches allowances per
+// (wallet, token, spender) so a trade with a known-good allowance makes no
+// extra RPC call. list() and revokeAll() back `npm run approvals` and the
+// dashboard's /api/approvals.
+// Spenders that can consume a signed approval (our ArbExecutor) go through
+// authorize() instead: it signs an EIP-2612 permit when the token supports
+// one, or a Permit2 transfer when the wallet has already approved Permit2,
+// and only falls back to an approve tx when neither is available. Permits
+// cover atomic execution only: the V2 routers' swapExactTokensForTokens can't
+// take a signature, and the executor only runs loops that end in the token
+// they start from, so direct swaps (BaseSwap, Aerodrome, the legs of a
+// non-atomic round trip) still need an approve tx per router.
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+const nonces = require('./nonceManager');
+const feeEngine = require('./feeEngine');
+const { getProvider } = require('./robustProvider');
+const { discoverApprovals } = require('./walletScan');
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)',
+  'function balanceOf(address) view returns (uint256)',
+  'function symbol() view returns (string)'
+];
+
+const PERMIT_ABI = [
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function PERMIT_TYPEHASH() view returns (bytes32)',
+  'function nonces(address owner) view returns (uint256)',
+  'function name() view returns (string)',
+  'function version() view returns (string)'
+];
+const EIP2612_TYPEHASH = ethers.id('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)');
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+// Uniswap's Permit2, same address on every chain
+const CANONICAL_PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const MAX_UINT = ethers.MaxUint256;
+// Anything above this is shown (and kept) as "unlimited"; some tokens count
+// a max approval down as it is spent
+const UNLIMITED_FLOOR = MAX_UINT / 2n;
+
+const cache = new Map(); // owner:token:spender -> { value, at }
+const permitDomains = new Map(); // token -> EIP-712 domain of its permit(), or null when it has none
+const permit2Refused = new Set(); // tokens a Permit2 transfer failed for
+let permit2Deployed = null;
+
+function lower(a) {
+  return String(a || '').toLowerCase();
+}
+
+function csv(v) {
+  return String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function permitsEnabled() {
+  return String(process.env.PERMITS || 'true') !== 'false';
+}
+
+function permit2Address() {
+  return ethers.getAddress(process.env.PERMIT2_ADDRESS || CANONICAL_PERMIT2);
+}
+
+function cacheMs() {
+  return Number(process.env.APPROVAL_CACHE_MS || 300000);
+}
+
+function key(owner, token, spender) {
+  return `${lower(owner)}:${lower(token)}:${lower(spender)}`;
+}
+
+/** Spenders we are willing to approve: [{ name, address }] */
+function spenders() {
+  const out = [];
+  const add = (name, address) => {
+    if (!address || !ethers.isAddress(address)) return;
+    if (out.some(s => lower(s.address) === lower(address))) return;
+    out.push({ name, address: ethers.getAddress(address) });
+  };
+  add('baseswap', cfg.BASESWAP_ROUTER);
+  add('aerodrome', cfg.AERODROME_ROUTER);
+  add('univ3', cfg.UNI_V3_ROUTER);
+  add('univ2', cfg.UNI_V2_ROUTER);
+  add('executor', process.env.ARB_EXECUTOR_ADDRESS);
+  if (permitsEnabled()) add('permit2', permit2Address());
+  csv(process.env.APPROVAL_SPENDERS).forEach((a, i) => add(`extra${i + 1}`, a));
+  return out;
+}
+
+function isAllowed(spender) {
+  return spenders().some(s => lower(s.address) === lower(spender));
+}
+
+/** Allowlisted spender for a router name ('baseswap', 'aerodrome', ...), or null */
+function spenderFor(routerName) {
+  const s = spenders().find(x => x.name === lower(routerName));
+  return s ? s.address : null;
+}
+
+function spenderName(spender) {
+  const s = spenders().find(x => lower(x.address) === lower(spender));
+  return s ? s.name : null;
+}
+
+// Registry symbol for a token address, if it is one of the chain's known tokens
+function registrySymbol(token) {
+  const hit = Object.entries(cfg.CHAIN.tokens || {}).find(([, a]) => lower(a) === lower(token));
+  return hit ? hit[0] : null;
+}
+
+/** 'unlimited' or 'exact' for `token`; APPROVAL_POLICY_TOKENS entries are SYMBOL:policy or 0xaddr:policy */
+function policyFor(token) {
+  const sym = registrySymbol(token);
+  for (const entry of csv(process.env.APPROVAL_POLICY_TOKENS)) {
+    const [who, policy] = entry.split(':').map(s => s.trim());
+    if (!policy) continue;
+    if (lower(who) === lower(token) || (sym && who.toUpperCase() === sym)) return policy.toLowerCase() === 'exact' ? 'exact' : 'unlimited';
+  }
+  return String(process.env.APPROVAL_POLICY || 'unlimited').toLowerCase() === 'exact' ? 'exact' : 'unlimited';
+}
+
+function remember(owner, token, spender, value) {
+  cache.set(key(owner, token, spender), { value: BigInt(value), at: Date.now() });
+}
+
+/** Drop cached allowances (all of them, or one wallet/token/spender). */
+function forget(owner, token, spender) {
+  if (!owner) return cache.clear();
+  cache.delete(key(owner, token, spender));
+}
+
+/** Current allowance, from the cache unless `fresh` or older than APPROVAL_CACHE_MS. */
+async function allowance(owner, token, spender, { fresh = false, provider } = {}) {
+  const hit = cache.get(key(owner, token, spender));
+  if (!fresh && hit && Date.now() - hit.at < cacheMs()) return hit.value;
+  const c = new ethers.Contract(token, ERC20_ABI, provider || getProvider());
+  const value = BigInt(await c.allowance(owner, spender));
+  remember(owner, token, spender, value);
+  return value;
+}
+
+async function needsApproval(owner, token, spender, amount, opts) {
+  try {
+    return (await allowance(owner, token, spender, opts)) < BigInt(amount);
+  } catch {
+    return true; // Assume approval needed if check fails
+  }
+}
+
+/**
+ * A trade just pulled `amount` through `spender`: count the cached allowance
+ * down so the next ensure() knows to top it up without reading the chain.
+ */
+function spent(owner, token, spender, amount) {
+  const hit = cache.get(key(owner, token, spender));
+  if (!hit || hit.value > UNLIMITED_FLOOR) return;
+  const left = hit.value - BigInt(amount);
+  hit.value = left > 0n ? left : 0n;
+}
+
+// One approve(spender, value) tx with retries; the nonce manager speeds up or cancels a stuck one
+async function sendApprove(signer, token, spender, value, meta = {}) {
+  const maxRetries = Number(process.env.APPROVAL_RETRY_COUNT || 3);
+  const timeoutMs = Number(process.env.APPROVAL_TIMEOUT_MS || 60000);
+  const owner = await signer.getAddress();
+  const c = new ethers.Contract(token, ERC20_ABI, signer);
+  const symbol = meta.symbol || registrySymbol(token) || 'TOKEN';
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`[approval] 🔄 approve(${spenderName(spender) || spender}, ${value === MAX_UINT ? 'unlimited' : value}) for ${symbol}, attempt ${attempt}/${maxRetries}`);
+
+      let gasLimit;
+      try {
+        const est = await c.approve.estimateGas(spender, value);
+        gasLimit = est + (est * BigInt(process.env.GAS_BUFFER_PERCENT || 25) / 100n);
+      } catch {
+        gasLimit = 150000n; // Conservative fallback
+      }
+
+      const fees = await feeEngine.quote({ provider: signer.provider });
+      const req = await c.approve.populateTransaction(spender, value, { gasLimit, ...feeEngine.txFields(fees) });
+      const tx = await nonces.send(signer, req, 'approval', { ...meta, token: symbol });
+      console.log(`[approval] 📝 Submitted: ${tx.hash}`);
+
+      const waited = await nonces.waitForTx(signer, tx, timeoutMs);
+      if (waited.outcome === 'pending') {
+        forget(owner, token, spender);
+        return { success: false, pending: true, txHash: waited.hash, error: `Approval still pending after ${waited.replacements} replacement(s)` };
+      }
+      if (waited.outcome === 'cancelled') throw new Error(`Approval timeout after ${timeoutMs}ms (cancelled)`);
+      if (waited.receipt.status !== 1) throw new Error(`Approval transaction failed with status: ${waited.receipt.status}`);
+
+      remember(owner, token, spender, value);
+      if (process.env.VERIFY_APPROVALS === 'true') {
+        await new Promise(r => setTimeout(r, 2000)); // Wait for state update
+        const now = await allowance(owner, token, spender, { fresh: true, provider: signer.provider });
+        if (now !== value && !(value > UNLIMITED_FLOOR && now > UNLIMITED_FLOOR)) {
+          console.log(`[approval] ⚠️  Verification failed, allowance: ${now}`);
+          if (attempt < maxRetries) continue;
+          return { success: false, error: 'Approval verification failed' };
+        }
+      }
+      console.log(`[approval] ✅ ${symbol} approval mined, gas used: ${waited.receipt.gasUsed}`);
+      return { success: true, txHash: waited.receipt.hash, gasUsed: waited.receipt.gasUsed };
+    } catch (e) {
+      console.log(`[approval] ❌ Attempt ${attempt} failed: ${e.message}`);
+      if (e.message.includes('insufficient funds')) return { success: false, error: 'Insufficient ETH for gas fees' };
+      if (attempt < maxRetries) await new Promise(r => setTimeout(r, attempt * 2000));
+    }
+  }
+  return { success: false, error: `All ${maxRetries} approval attempts failed` };
+}
+
+/**
+ * Make sure `spender` may pull `amount` of `token` from the signer's wallet.
+ * Resolves to { success, txHash, pending?, error? }; txHash is null when the
+ * allowance was already enough.
+ */
+async function ensure(signer, token, spender, amount, meta = {}) {
+  try {
+    if (!isAllowed(spender)) {
+      console.log(`[approval] ⛔ ${spender} is not an allowed spender`);
+      return { success: false, error: `spender ${spender} is not on the approval allowlist` };
+    }
+    const owner = await signer.getAddress();
+    const need = BigInt(amount);
+    const current = await allowance(owner, token, spender, { provider: signer.provider });
+    if (current >= need) return { success: true, txHash: null, message: 'Sufficient allowance' };
+
+    const policy = policyFor(token);
+    console.log(`[approval] 🔐 ${meta.symbol || registrySymbol(token) || token}: allowance ${current} < ${need}, approving (${policy})`);
+
+    // Some tokens (USDT) refuse to change a non-zero allowance
+    if (current > 0n) {
+      const reset = await sendApprove(signer, token, spender, 0n, meta);
+      if (!reset.success) return reset;
+    }
+    return await sendApprove(signer, token, spender, policy === 'exact' ? need : MAX_UINT, meta);
+  } catch (e) {
+    console.log(`[approval] ❌ Critical approval error: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * EIP-712 domain of `token`'s EIP-2612 permit(), or null when it has none.
+ * The token must expose DOMAIN_SEPARATOR() and nonces(), and the separator
+ * must match its name and version (declared, else "1" or "2"); DAI-style
+ * permits with another typehash don't count.
+ */
+async function permitDomain(token, provider) {
+  const k = lower(token);
+  if (permitDomains.has(k)) return permitDomains.get(k);
+  const c = new ethers.Contract(token, PERMIT_ABI, provider);
+  let domain = null;
+  try {
+    const [separator, network] = await Promise.all([c.DOMAIN_SEPARATOR(), provider.getNetwork()]);
+    await c.nonces(ethers.ZeroAddress);
+    const typehash = await c.PERMIT_TYPEHASH().catch(() => null);
+    if (!typehash || typehash === EIP2612_TYPEHASH) {
+      const name = await c.name();
+      const declared = await c.version().catch(() => null);
+      for (const version of [...new Set([declared, '1', '2'].filter(Boolean))]) {
+        const d = { name, version, chainId: network.chainId, verifyingContract: ethers.getAddress(token) };
+        if (ethers.TypedDataEncoder.hashDomain(d) === separator) { domain = d; break; }
+      }
+    }
+  } catch (e) {
+    // A revert or empty return means no permit(); anything else (RPC trouble) is asked again next time
+    if (e.code !== 'CALL_EXCEPTION' && e.code !== 'BAD_DATA') return null;
+  }
+  permitDomains.set(k, domain);
+  return domain;
+}
+
+function permitDeadline() {
+  return BigInt(Math.floor(Date.now() / 1000) + Number(process.env.PERMIT_DEADLINE_SEC || 600));
+}
+
+// EIP-2612 permit for exactly `value`: { value, deadline, v, r, s }, or null
+async function signPermit(signer, token, spender, value) {
+  const domain = await permitDomain(token, signer.provider);
+  if (!domain) return null;
+  const owner = await signer.getAddress();
+  const nonce = await new ethers.Contract(token, PERMIT_ABI, signer.provider).nonces(owner);
+  const deadline = permitDeadline();
+  const sig = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline }));
+  return { value, deadline, v: sig.v, r: sig.r, s: sig.s };
+}
+
+// Permit2 SignatureTransfer letting `spender` pull `amount` once: { nonce, deadline, signature }, or null
+// when Permit2 isn't deployed or the wallet hasn't approved it for this token
+async function signPermit2(signer, token, spender, amount) {
+  const permit2 = permit2Address();
+  if (permit2Refused.has(lower(token))) return null;
+  if (permit2Deployed === null) permit2Deployed = (await signer.provider.getCode(permit2)) !== '0x';
+  if (!permit2Deployed) return null;
+  const owner = await signer.getAddress();
+  if ((await allowance(owner, token, permit2, { provider: signer.provider })) < amount) return null;
+  const { chainId } = await signer.provider.getNetwork();
+  // Permit2 nonces are unordered; a random one never collides in practice
+  const nonce = ethers.toBigInt(ethers.randomBytes(16));
+  const deadline = permitDeadline();
+  const signature = await signer.signTypedData(
+    { name: 'Permit2', chainId, verifyingContract: permit2 },
+    PERMIT2_TYPES,
+    { permitted: { token: ethers.getAddress(token), amount }, spender, nonce, deadline }
+  );
+  return { nonce, deadline, signature };
+}
+
+/**
+ * Like ensure(), for a spender that can also take a signed approval.
+ * `meta.accepts` lists what it takes: 'eip2612' and/or 'permit2'. Resolves to
+ * { success, mode, permit?, txHash, ... } where mode is 'allowance' (already
+ * approved, or an approve tx was sent), 'eip2612' or 'permit2' (permit holds
+ * the signature to pass along).
+ */
+async function authorize(signer, token, spender, amount, { accepts = [], ...meta } = {}) {
+  if (!isAllowed(spender)) return ensure(signer, token, spender, amount, meta);
+  const need = BigInt(amount);
+  try {
+    const owner = await signer.getAddress();
+    const current = await allowance(owner, token, spender, { provider: signer.provider });
+    if (current >= need) return { success: true, mode: 'allowance', txHash: null, message: 'Sufficient allowance' };
+    if (permitsEnabled()) {
+      const symbol = meta.symbol || registrySymbol(token) || token;
+      if (accepts.includes('eip2612')) {
+        const permit = await signPermit(signer, token, spender, need);
+        if (permit) {
+          console.log(`[approval] ✍️  ${symbol}: signed EIP-2612 permit for ${need}, no approve tx`);
+          return { success: true, mode: 'eip2612', permit, txHash: null };
+        }
+      }
+      if (accepts.includes('permit2')) {
+        const permit = await signPermit2(signer, token, spender, need);
+        if (permit) {
+          console.log(`[approval] ✍️  ${symbol}: signed Permit2 transfer for ${need}, no approve tx`);
+          return { success: true, mode: 'permit2', permit, txHash: null };
+        }
+      }
+    }
+  } catch (e) {
+    console.log(`[approval] ⚠️  Permit unavailable (${e.shortMessage || e.message}), approving on-chain`);
+  }
+  return { ...(await ensure(signer, token, spender, need, meta)), mode: 'allowance' };
+}
+
+/** A signed approval didn't work for `token`: use on-chain approvals for it from now on. */
+function permitFailed(token, mode) {
+  if (mode === 'eip2612') permitDomains.set(lower(token), null);
+  if (mode === 'permit2') permit2Refused.add(lower(token));
+}
+
+/** Set `spender`'s allowance on `token` back to zero. Any spender may be revoked. */
+async function revoke(signer, token, spender) {
+  return sendApprove(signer, ethers.getAddress(token), ethers.getAddress(spender), 0n, { router: spenderName(spender) || 'revoke' });
+}
+
+function knownTokens() {
+  const out = new Map();
+  for (const a of [...Object.values(cfg.CHAIN.tokens || {}), ...csv(process.env.APPROVAL_TOKENS)]) {
+    if (ethers.isAddress(a)) out.set(lower(a), ethers.getAddress(a));
+  }
+  for (const k of cache.keys()) {
+    const token = k.split(':')[1];
+    if (!out.has(token)) out.set(token, ethers.getAddress(token));
+  }
+  return [...out.values()];
+}
+
+async function symbolOf(token, provider) {
+  const sym = registrySymbol(token);
+  if (sym) return sym;
+  try { return String(await new ethers.Contract(token, ERC20_ABI, provider).symbol()); }
+  catch { return `TOKEN_${token.slice(-4)}`; }
+}
+
+/**
+ * Outstanding (non-zero) approvals of `owner`: the known tokens against every
+ * allowlisted spender, plus whatever an Approval-log scan of
+ * [fromBlock, toBlock] turns up when `fromBlock` is given.
+ * Rows: { token, symbol, spender, spenderName, allowlisted, allowance, unlimited }
+ */
+async function list(owner, { fromBlock = null, toBlock = null, step = 500, provider = getProvider() } = {}) {
+  const pairs = new Map();
+  for (const token of knownTokens()) {
+    for (const s of spenders()) pairs.set(key(owner, token, s.address), { token, spender: s.address });
+  }
+  if (fromBlock !== null && fromBlock !== undefined) {
+    const end = toBlock !== null && toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+    for (const p of await discoverApprovals(provider, owner, fromBlock, end, step)) pairs.set(key(owner, p.token, p.spender), p);
+  }
+
+  const rows = [];
+  for (const { token, spender } of pairs.values()) {
+    let value;
+    try { value = await allowance(owner, token, spender, { fresh: true, provider }); }
+    catch { continue; }
+    if (value === 0n) continue;
+    rows.push({
+      token,
+      symbol: await symbolOf(token, provider),
+      spender,
+      spenderName: spenderName(spender),
+      allowlisted: isAllowed(spender),
+      allowance: value.toString(),
+      unlimited: value > UNLIMITED_FLOOR
+    });
+  }
+  return rows;
+}
+
+/**
+ * Revoke every outstanding approval list() finds for the signer's wallet
+ * (optionally only one token and/or spender). Resolves to list() rows with
+ * { revoked, txHash, error } added.
+ */
+async function revokeAll(signer, { token, spender, ...scan } = {}) {
+  const owner = await signer.getAddress();
+  const rows = (await list(owner, { provider: signer.provider, ...scan }))
+    .filter(r => (!token || lower(r.token) === lower(token)) && (!spender || lower(r.spender) === lower(spender)));
+  const out = [];
+  for (const r of rows) {
+    const res = await revoke(signer, r.token, r.spender);
+    out.push({ ...r, revoked: !!res.success, txHash: res.txHash || null, error: res.error });
+  }
+  return out;
+}
+
+/**
+ * Pre-approve every known token the signer's wallet holds for every
+ * allowlisted spender (optionally one token/spender), under each token's
+ * policy: an exact approval covers the current balance. Resolves to
+ * [{ token, symbol, spender, spenderName, balance, success, txHash, error }].
+ */
+async function approveHeld(signer, { token, spender } = {}) {
+  const owner = await signer.getAddress();
+  const tokens = token ? [ethers.getAddress(token)] : knownTokens();
+  const targets = spenders().filter(s => !spender || lower(s.address) === lower(spender) || s.name === lower(spender));
+  const out = [];
+  for (const t of tokens) {
+    let balance;
+    try { balance = BigInt(await new ethers.Contract(t, ERC20_ABI, signer.provider).balanceOf(owner)); }
+    catch { continue; }
+    if (balance === 0n) continue;
+    const symbol = await symbolOf(t, signer.provider);
+    for (const s of targets) {
+      const res = await ensure(signer, t, s.address, balance, { symbol, router: s.name });
+      out.push({ token: t, symbol, spender: s.address, spenderName: s.name, balance: balance.toString(), success: !!res.success, txHash: res.txHash || null, error: res.error });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  spenders, spenderFor, isAllowed, policyFor,
+  allowance, needsApproval, ensure, spent, forget,
+  authorize, permitDomain, permitFailed, permit2Address,
+  list, revoke, revokeAll, approveHeld,
+  MAX_UINT
+};
@@ -0,0 +1,106 @@
+// src/js/arbitrage.js - Two-leg cross-DEX round trips (start -> X on venue A, X -> start on venue B)
+const { ethers } = require('ethers');
+const { quoteUniV3 } = require('./robustQuoter');
+const { quoteBaseSwap } = require('./baseSwapRouters');
+const { quoteAerodrome } = require('./aerodromeRouters');
+const { canExecute } = require('./evmExecutors');
+
+// Per-venue quoters; each resolves to a normalized quote or null
+const VENUE_QUOTERS = {
+  univ3: (tokenIn, tokenOut, amountIn) => quoteUniV3(tokenIn, tokenOut, amountIn),
+  baseswap: (tokenIn, tokenOut, amountIn) => quoteBaseSwap(tokenIn, tokenOut, amountIn),
+  aerodrome: (tokenIn, tokenOut, amountIn) => quoteAerodrome(tokenIn, tokenOut, amountIn)
+};
+
+function parseList(s) {
+  return String(s || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+}
+
+function arbVenues() {
+  const wanted = parseList(process.env.ARB_VENUES || 'baseswap,univ3,aerodrome');
+  return wanted.filter(v => VENUE_QUOTERS[v]);
+}
+
+function newOpportunityId() {
+  return `opp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function safeQuote(venue, tokenIn, tokenOut, amountIn) {
+  try {
+    const q = await VENUE_QUOTERS[venue](tokenIn, tokenOut, amountIn);
+    if (!q || !q.buyAmount || BigInt(q.buyAmount) === 0n) return null;
+    return { ...q, router: venue };
+  } catch (e) {
+    console.log(`[arb] ${venue} quote failed: ${e.shortMessage || e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Quote every (buy venue, sell venue) combination for a closed loop
+ * startToken -> midToken -> startToken and return the candidates sorted
+ * by raw output in the start token (best first).
+ * @param {string} startToken
+ * @param {string} midToken
+ * @param {bigint} amountIn - raw amount of startToken
+ * @returns {Promise<Array<{ buyLeg: Object, sellLeg: Object, amountIn: bigint, amountOut: bigint, executable: boolean }>>}
+ */
+async function quoteRoundTrips(startToken, midToken, amountIn) {
+  const venues = arbVenues();
+  const loops = [];
+
+  for (const buyVenue of venues) {
+    const buyLeg = await safeQuote(buyVenue, startToken, midToken, amountIn);
+    if (!buyLeg) continue;
+
+    for (const sellVenue of venues) {
+      if (sellVenue === buyVenue) continue;
+      const sellLeg = await safeQuote(sellVenue, midToken, startToken, BigInt(buyLeg.buyAmount));
+      if (!sellLeg) continue;
+
+      loops.push({
+        buyLeg,
+        sellLeg,
+        amountIn: BigInt(amountIn),
+        amountOut: BigInt(sellLeg.buyAmount),
+        executable: canExecute(buyVenue) && canExecute(sellVenue)
+      });
+    }
+  }
+
+  loops.sort((a, b) => (a.amountOut > b.amountOut ? -1 : a.amountOut < b.amountOut ? 1 : 0));
+  return loops;
+}
+
+/**
+ * Best executable round trip for startToken -> midToken -> startToken, or null.
+ */
+async function findRoundTrip(startToken, midToken, amountIn) {
+  return bestLoop(await quoteRoundTrips(startToken, midToken, amountIn));
+}
+
+/** The best executable loop of quoteRoundTrips() output, with an opportunity id; null if none. */
+function bestLoop(loops) {
+  if (!loops.length) return null;
+
+  const best = loops.find(l => l.executable);
+  if (!best) {
+    const top = loops[0];
+    console.log(`[arb] Best loop ${top.buyLeg.router}->${top.sellLeg.router} is not executable, skipping`);
+    return null;
+  }
+
+  const delta = best.amountOut - best.amountIn;
+  console.log(`[arb] Best loop ${best.buyLeg.router}->${best.sellLeg.router}: in ${best.amountIn} out ${best.amountOut} (Δ ${delta})`);
+  return { ...best, id: newOpportunityId(), deltaRaw: delta };
+}
+
+/**
+ * Re-quote the closing leg for the amount actually received from leg 1.
+ */
+async function requoteSellLeg(loop, amountIn) {
+  const { sellLeg } = loop;
+  return safeQuote(sellLeg.router, ethers.getAddress(sellLeg.sellToken), ethers.getAddress(sellLeg.buyToken), BigInt(amountIn));
+}
+
+module.exports = { findRoundTrip, quoteRoundTrips, bestLoop, requoteSellLeg, arbVenues, newOpportunityId };
@@ -0,0 +1,271 @@
+// src/js/atomicExecutor.js - both legs of a loop in one tx through ArbExecutor
+// contracts/ArbExecutor.sol pulls the start tokens, runs each router call in
+// order (patching each leg's amountIn with what the previous leg delivered) and
+// reverts unless amountIn + minProfit comes back, so a loop either completes
+// or costs only the gas of a revert; we are never left holding the mid token.
+// The start token reaches the contract through an EIP-2612 permit or Permit2
+// signature when approvals.authorize() can sign one, else through an allowance.
+// Enabled by ARB_EXECUTOR_ADDRESS (deploy with scripts/deploy-executor.js).
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+const walletPool = require('./walletPool');
+const nonces = require('./nonceManager');
+const feeEngine = require('./feeEngine');
+const { receiptFees } = require('./l1Fee');
+const { revertReason } = require('./swapSimulation');
+const approvals = require('./approvals');
+const txJournal = require('./txJournal');
+
+const EXECUTOR_ABI = [
+  'function execute(address startToken, uint256 amountIn, uint256 minProfit, (address target, address tokenIn, uint256 amountInOffset, bytes data)[] calls) returns (uint256 amountOut)',
+  'function executeWithPermit(address startToken, uint256 amountIn, uint256 minProfit, (address target, address tokenIn, uint256 amountInOffset, bytes data)[] calls, (uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) permit) returns (uint256 amountOut)',
+  'function executeWithPermit2(address startToken, uint256 amountIn, uint256 minProfit, (address target, address tokenIn, uint256 amountInOffset, bytes data)[] calls, uint256 nonce, uint256 deadline, bytes signature) returns (uint256 amountOut)',
+  'function operators(address) view returns (bool)',
+  'function permit2() view returns (address)',
+  'event Executed(address indexed caller, address indexed startToken, uint256 amountIn, uint256 amountOut)',
+  'error NotOperator()',
+  'error BadOffset(uint256 index)',
+  'error CallFailed(uint256 index, bytes reason)',
+  'error NotProfitable(uint256 amountOut, uint256 required)',
+  'error TokenTransferFailed(address token)'
+];
+
+const V2_SWAP = new ethers.Interface([
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+const AMOUNT_IN_OFFSET = 4n; // first argument, right after the selector
+
+const acceptedByExecutor = new Map(); // executor address -> signed approvals it takes
+
+// V2-style routers whose swap we can encode for the contract
+function routerAddress(router) {
+  switch (String(router || '').toLowerCase()) {
+    case 'baseswap': return cfg.BASESWAP_ROUTER;
+    case 'aerodrome': return cfg.AERODROME_ROUTER;
+    case 'univ2': return cfg.UNI_V2_ROUTER;
+    default: return '';
+  }
+}
+
+function executorAddress() {
+  return process.env.ARB_EXECUTOR_ADDRESS || '';
+}
+
+function enabled() {
+  return !!executorAddress() && String(process.env.ATOMIC_EXECUTION || 'true') !== 'false';
+}
+
+/** True when every leg's router can be called from the executor contract. */
+function supports(routers) {
+  return enabled() && routers.length > 0 && routers.every(r => !!routerAddress(r));
+}
+
+/**
+ * Quote-shaped description of a whole loop, for execByRouter(..., 'atomic', ...):
+ * { router: 'atomic', legs, sellToken, buyToken, sellAmount, buyAmount, breakEvenOut, blockNumber }
+ */
+function loopQuote(legs, { amountIn, amountOut, breakEvenOut }) {
+  return {
+    router: 'atomic',
+    legs,
+    sellToken: legs[0].sellToken,
+    buyToken: legs[legs.length - 1].buyToken,
+    sellAmount: BigInt(amountIn).toString(),
+    buyAmount: BigInt(amountOut).toString(),
+    breakEvenOut,
+    blockNumber: legs[0].blockNumber
+  };
+}
+
+// Per-leg router calls; the contract's final check is the slippage guard, so legs take any output
+function buildCalls(legs, executor, deadline) {
+  return legs.map(leg => ({
+    target: routerAddress(leg.router),
+    tokenIn: ethers.getAddress(leg.sellToken),
+    amountInOffset: AMOUNT_IN_OFFSET,
+    data: V2_SWAP.encodeFunctionData('swapExactTokensForTokens', [
+      BigInt(leg.sellAmount), 0n, leg.path || [leg.sellToken, leg.buyToken], executor, deadline
+    ])
+  }));
+}
+
+// Executors deployed before permit support have no permit2() and only take allowances
+async function acceptedPermits(executor) {
+  const key = executor.target.toLowerCase();
+  if (!acceptedByExecutor.has(key)) {
+    let kinds = [];
+    try {
+      const p2 = await executor.permit2();
+      kinds = ['eip2612'];
+      if (p2.toLowerCase() === approvals.permit2Address().toLowerCase()) kinds.push('permit2');
+    } catch {}
+    acceptedByExecutor.set(key, kinds);
+  }
+  return acceptedByExecutor.get(key);
+}
+
+// Contract method and arguments for how authorize() let the executor pull the start token
+function executeCall(auth, base) {
+  const p = auth.permit;
+  if (auth.mode === 'eip2612') return ['executeWithPermit', [...base, [p.value, p.deadline, p.v, p.r, p.s]]];
+  if (auth.mode === 'permit2') return ['executeWithPermit2', [...base, p.nonce, p.deadline, p.signature]];
+  return ['execute', base];
+}
+
+function describeRevert(contract, e) {
+  const data = e && (e.data || (e.info && e.info.error && e.info.error.data));
+  if (typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = contract.interface.parseError(data);
+      if (parsed && parsed.name === 'CallFailed') {
+        const inner = parsed.args.reason;
+        let why = inner;
+        try { why = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(inner, 4))[0]; } catch {}
+        return `leg ${Number(parsed.args.index) + 1} reverted: ${why}`;
+      }
+      if (parsed) return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+    } catch {}
+  }
+  return revertReason(e);
+}
+
+/**
+ * Paper fill of a loop: eth_call ArbExecutor.execute from `from` with no profit
+ * floor and resolve to what the loop would hand back. Relies on the executor's
+ * allowance for the start token (a permit is never signed for a call that
+ * can't land), so a wallet without one reverts here.
+ */
+async function simulateLoop(normQuote, from, provider) {
+  const address = executorAddress();
+  if (!address) throw new Error('ARB_EXECUTOR_ADDRESS not set');
+  const executor = new ethers.Contract(address, EXECUTOR_ABI, provider);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + parseInt(process.env.TX_DEADLINE_SEC || '300', 10));
+  const calls = buildCalls(normQuote.legs, address, deadline);
+  try {
+    return BigInt(await executor.execute.staticCall(ethers.getAddress(normQuote.sellToken), BigInt(normQuote.sellAmount), 0n, calls, { from }));
+  } catch (e) {
+    throw new Error(describeRevert(executor, e));
+  }
+}
+
+/**
+ * Run every leg of `normQuote.legs` as one executor call from pool wallet `from`.
+ * Same result shape as the per-router executors.
+ */
+async function execAtomic(normQuote, pair, estNetUsd, from) {
+  const address = executorAddress();
+  if (!address) return { success: false, txHash: '', error: 'ARB_EXECUTOR_ADDRESS not set' };
+  let journal = null;
+
+  try {
+    const signer = walletPool.signer(from);
+    from = await signer.getAddress();
+    const executor = new ethers.Contract(address, EXECUTOR_ABI, signer);
+    const startToken = ethers.getAddress(normQuote.sellToken);
+    const amountIn = BigInt(normQuote.sellAmount);
+    const breakEven = BigInt(normQuote.breakEvenOut || normQuote.sellAmount);
+    const minProfit = breakEven > amountIn ? breakEven - amountIn : 0n;
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + parseInt(process.env.TX_DEADLINE_SEC || '300', 10));
+    const calls = buildCalls(normQuote.legs, address, deadline);
+    const routers = normQuote.legs.map(l => l.router).join('>');
+
+    console.log(`[atomic] 🔗 ${pair} via ${routers}: ${amountIn} in, needs ${amountIn + minProfit} back`);
+    journal = txJournal.begin({
+      pair, router: 'atomic', side: 'roundtrip', from, sellToken: startToken, buyToken: ethers.getAddress(normQuote.buyToken),
+      sellAmount: amountIn, buyAmount: normQuote.buyAmount, breakEvenOut: normQuote.breakEvenOut, estNetUsd,
+      sellUsd: normQuote.sellUsd, buyUsd: normQuote.buyUsd, gasUsd: normQuote.gasUsd
+    });
+
+    // The executor pulls the start token from the wallet
+    const approval = await approvals.authorize(signer, startToken, address, amountIn, {
+      symbol: normQuote.sellSymbol, pair, router: 'atomic', accepts: await acceptedPermits(executor)
+    });
+    if (!approval.success) {
+      txJournal.step(journal, 'failed', { error: `Approval failed: ${approval.error}` });
+      return { success: false, pending: !!approval.pending, txHash: '', error: `Approval failed: ${approval.error}` };
+    }
+
+    txJournal.step(journal, 'approved', { approvalTx: approval.txHash, mode: approval.mode });
+
+    const [method, args] = executeCall(approval, [startToken, amountIn, minProfit, calls]);
+    let simulatedOut;
+    try {
+      simulatedOut = await executor[method].staticCall(...args, { from, blockTag: 'pending' });
+    } catch (e) {
+      const reason = describeRevert(executor, e);
+      console.log(`[atomic] 🧪 Not sending (${method}): ${reason}`);
+      // Anything but the loop itself failing means the signed approval didn't work; approve on-chain next time
+      if (approval.mode !== 'allowance' && !/^leg \d+ reverted|^NotProfitable/.test(reason)) {
+        approvals.permitFailed(startToken, approval.mode);
+      }
+      txJournal.step(journal, 'skipped', { error: reason });
+      return { success: false, simulated: true, txHash: '', error: `simulation reverted: ${reason}`, approvalTx: approval.txHash };
+    }
+    console.log(`[atomic] 🧪 Simulated output: ${simulatedOut} (quoted ${normQuote.buyAmount})`);
+
+    let gasLimit;
+    try {
+      const est = await executor[method].estimateGas(...args);
+      gasLimit = est + (est * BigInt(process.env.GAS_BUFFER_PERCENT || 25) / 100n);
+    } catch {
+      gasLimit = BigInt(process.env.GAS_ESTIMATE_ATOMIC || '450000');
+    }
+
+    // The fee tier profitGuard priced gas at (normQuote.feeUrgency), so the check and the tx agree
+    const fees = await feeEngine.quote({ provider: signer.provider, urgency: normQuote.feeUrgency, profitUsd: estNetUsd });
+    const req = await executor[method].populateTransaction(...args, { gasLimit, ...feeEngine.txFields(fees) });
+    const tx = await nonces.send(signer, req, 'swap', { pair, router: 'atomic', journal });
+    console.log(`[atomic] 📝 Submitted: ${tx.hash}`);
+
+    const timeoutMs = Number(process.env.SWAP_TIMEOUT_MS || 120000);
+    const waited = await nonces.waitForTx(signer, tx, timeoutMs);
+    if (waited.outcome !== 'mined') {
+      // A pending swap's entry stays open for the next boot to settle
+      if (waited.outcome === 'cancelled') txJournal.step(journal, 'dropped', { hash: waited.hash });
+      return {
+        success: false,
+        pending: waited.outcome === 'pending',
+        cancelled: waited.outcome === 'cancelled',
+        txHash: waited.hash,
+        error: waited.outcome === 'pending' ? 'Atomic swap still pending' : `Atomic swap timed out after ${timeoutMs}ms and was cancelled`,
+        approvalTx: approval.txHash,
+        ...(waited.receipt ? await receiptFees(signer.provider, waited.receipt) : {}) // a mined cancel paid gas
+      };
+    }
+
+    const receipt = waited.receipt;
+    if (receipt.status !== 1) {
+      txJournal.step(journal, 'reverted', { hash: receipt.hash });
+      return { success: false, txHash: receipt.hash, error: 'Atomic swap reverted on-chain', approvalTx: approval.txHash, ...(await receiptFees(signer.provider, receipt)) };
+    }
+
+    let amountOut = BigInt(simulatedOut);
+    for (const lg of receipt.logs) {
+      if (lg.address.toLowerCase() !== address.toLowerCase()) continue;
+      try {
+        const ev = executor.interface.parseLog(lg);
+        if (ev && ev.name === 'Executed') amountOut = BigInt(ev.args.amountOut);
+      } catch {}
+    }
+
+    if (approval.mode === 'allowance') approvals.spent(from, startToken, address, amountIn);
+    else approvals.forget(from, startToken, address); // the permit set and used up its own allowance
+    txJournal.step(journal, 'confirmed', { hash: receipt.hash, sellAmount: amountIn, buyAmount: amountOut });
+    console.log(`[atomic] 🎉 Loop complete: ${amountIn} -> ${amountOut}`);
+    return {
+      success: true,
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed.toString(),
+      sellAmount: amountIn.toString(),
+      buyAmount: amountOut.toString(),
+      approvalTx: approval.txHash,
+      ...(await receiptFees(signer.provider, receipt))
+    };
+  } catch (e) {
+    console.log(`[atomic] ❌ Execution error: ${e.message}`);
+    txJournal.step(journal, 'failed', { error: e.shortMessage || e.reason || e.message });
+    return { success: false, txHash: '', error: e.shortMessage || e.reason || e.message };
+  }
+}
+
+module.exports = { execAtomic, simulateLoop, supports, enabled, loopQuote, buildCalls, EXECUTOR_ABI };
@@ -1,11 +1,20 @@
 // src/js/baseSwapRouters.js — ROBUST BaseSwap with retry logic and approval handling
 const { ethers } = require('ethers');
 const cfg = require('./multichainConfig');
+const { currentBlock } = require('./blockWatcher');
+const walletPool = require('./walletPool');
+const nonces = require('./nonceManager');
+const feeEngine = require('./feeEngine');
+const { receiptFees, sumFees } = require('./l1Fee');
+const { simulateSwap } = require('./swapSimulation');
+const { actualAmounts } = require('./reconcile');
+const approvals = require('./approvals');
+const slippageModel = require('./slippageModel');
+const txJournal = require('./txJournal');
 
 function provider() { return new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, cfg.EVM_CHAIN_ID); }
-function wallet()   { return new ethers.Wallet(cfg.EVM_PRIVATE_KEY, provider()); }
 
-const BASESWAP_ROUTER = (process.env.BASESWAP_ROUTER || '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86');
+const BASESWAP_ROUTER = cfg.BASESWAP_ROUTER;
 const ERC20_ABI = [
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)',
@@ -22,8 +31,6 @@ const V2_ROUTER_ABI = [
   'function WETH() external view returns (address)'
 ];
 
-const MAX_UINT = BigInt('0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff');
-
 // Enhanced token metadata with error handling
 async function tokenMeta(addr, retries = 3) {
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -58,126 +65,13 @@ async function tokenMeta(addr, retries = 3) {
   }
 }
 
-// Robust approval function with comprehensive retry logic
-async function robustApproval(tokenContract, spenderAddress, requiredAmount, walletAddress, tokenSymbol = 'TOKEN') {
-  const maxRetries = Number(process.env.APPROVAL_RETRY_COUNT || 3);
-  const timeoutMs = Number(process.env.APPROVAL_TIMEOUT_MS || 60000);
-  
-  console.log(`[approval] 🔐 Starting robust approval for ${tokenSymbol}...`);
-  
-  try {
-    // Step 1: Check current allowance
-    const currentAllowance = await tokenContract.allowance(walletAddress, spenderAddress);
-    console.log(`[approval] Current allowance: ${ethers.formatEther(currentAllowance)} ${tokenSymbol} (shown in ETH units)`);
-    
-    // Step 2: If sufficient allowance exists, skip approval
-    if (currentAllowance >= requiredAmount) {
-      console.log(`[approval] ✅ Sufficient allowance exists, skipping approval`);
-      return { success: true, txHash: null, message: 'Sufficient allowance' };
-    }
-    
-    console.log(`[approval] ⚠️  Insufficient ${tokenSymbol} allowance`);
-    console.log(`[approval] Required: ${ethers.formatEther(requiredAmount)}`);
-    console.log(`[approval] Current:  ${ethers.formatEther(currentAllowance)}`);
-    
-    // Step 3: Attempt approval with retries
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`[approval] 🔄 Approval attempt ${attempt}/${maxRetries} for ${tokenSymbol}...`);
-        
-        // Conservative gas estimation
-        let gasLimit;
-        try {
-          const gasEstimate = await tokenContract.approve.estimateGas(spenderAddress, MAX_UINT);
-          gasLimit = gasEstimate + (gasEstimate * BigInt(process.env.GAS_BUFFER_PERCENT || 25) / 100n);
-          console.log(`[approval] Gas estimate: ${gasEstimate}, using: ${gasLimit}`);
-        } catch (gasError) {
-          gasLimit = BigInt(150000); // Conservative fallback
-          console.log(`[approval] Gas estimation failed, using fallback: ${gasLimit}`);
-        }
-        
-        // Prepare transaction options
-        const txOptions = {
-          gasLimit: gasLimit
-        };
-        
-        // Add gas price if specified
-        if (process.env.FIXED_GAS_PRICE_WEI) {
-          txOptions.gasPrice = BigInt(process.env.FIXED_GAS_PRICE_WEI);
-          console.log(`[approval] Using fixed gas price: ${txOptions.gasPrice}`);
-        }
-        
-        // Submit approval transaction
-        const approveTx = await tokenContract.approve(spenderAddress, MAX_UINT, txOptions);
-        console.log(`[approval] 📝 Approval transaction submitted: ${approveTx.hash}`);
-        
-        // Wait for confirmation with timeout
-        const receipt = await Promise.race([
-          approveTx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error(`Approval timeout after ${timeoutMs}ms`)), timeoutMs)
-          )
-        ]);
-        
-        if (receipt.status === 1) {
-          console.log(`[approval] ✅ Approval successful! Gas used: ${receipt.gasUsed}`);
-          
-          // Verify the approval worked
-          if (process.env.VERIFY_APPROVALS === 'true') {
-            console.log(`[approval] 🔍 Verifying approval...`);
-            await new Promise(r => setTimeout(r, 2000)); // Wait for state update
-            
-            const newAllowance = await tokenContract.allowance(walletAddress, spenderAddress);
-            if (newAllowance >= requiredAmount) {
-              console.log(`[approval] ✅ Verification passed, allowance now: ${ethers.formatEther(newAllowance)}`);
-              return { success: true, txHash: receipt.hash, gasUsed: receipt.gasUsed };
-            } else {
-              console.log(`[approval] ⚠️  Verification failed, allowance: ${ethers.formatEther(newAllowance)}`);
-              if (attempt < maxRetries) continue;
-              return { success: false, error: 'Approval verification failed' };
-            }
-          } else {
-            return { success: true, txHash: receipt.hash, gasUsed: receipt.gasUsed };
-          }
-        } else {
-          throw new Error(`Approval transaction failed with status: ${receipt.status}`);
-        }
-        
-      } catch (attemptError) {
-        console.log(`[approval] ❌ Attempt ${attempt} failed: ${attemptError.message}`);
-        
-        // Check for specific error types
-        if (attemptError.message.includes('insufficient funds')) {
-          return { success: false, error: 'Insufficient ETH for gas fees' };
-        }
-        
-        if (attemptError.message.includes('nonce')) {
-          console.log(`[approval] 🔄 Nonce error, waiting before retry...`);
-          await new Promise(r => setTimeout(r, 5000));
-        }
-        
-        // If this isn't the last attempt, wait before retrying
-        if (attempt < maxRetries) {
-          const waitTime = attempt * 2000; // Exponential backoff: 2s, 4s, 6s
-          console.log(`[approval] ⏳ Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-    
-    return { success: false, error: `All ${maxRetries} approval attempts failed` };
-    
-  } catch (error) {
-    console.log(`[approval] ❌ Critical approval error: ${error.message}`);
-    return { success: false, error: error.message };
-  }
-}
-
 // Original quote function (enhanced with retries)
 async function quoteBaseSwap(sellToken, buyToken, sellAmountWei, retries = 3) {
+  if (!BASESWAP_ROUTER) return null; // no V2 venue on this chain
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       const router = new ethers.Contract(BASESWAP_ROUTER, V2_ROUTER_ABI, provider());
+      const blockNumber = currentBlock();
 
       const [sell, buy] = await Promise.all([
         tokenMeta(sellToken),
@@ -211,7 +105,7 @@ async function quoteBaseSwap(sellToken, buyToken, sellAmountWei, retries = 3) {
       console.log(`[baseswap] Quote successful: ${humanOut} ${buy.symbol}`);
       console.log(`[baseswap] Rate: ${(Number(humanOut)/Number(humanIn)).toFixed(8)} ${buy.symbol} per ${sell.symbol}`);
 
-      return {
+      const quote = {
         router: 'baseswap',
         sellToken: sell.addr,
         buyToken: buy.addr,
@@ -221,8 +115,11 @@ async function quoteBaseSwap(sellToken, buyToken, sellAmountWei, retries = 3) {
         sellSymbol: sell.symbol,
         buySymbol: buy.symbol,
         sellDecimals: sell.decimals,
-        buyDecimals: buy.decimals
+        buyDecimals: buy.decimals,
+        blockNumber
       };
+      slippageModel.observeQuote(quote);
+      return quote;
       
     } catch (error) {
       console.log(`[quote] Attempt ${attempt}/${retries} failed: ${error.message}`);
@@ -234,16 +131,18 @@ async function quoteBaseSwap(sellToken, buyToken, sellAmountWei, retries = 3) {
   }
 }
 
-// Robust execution function
-async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
+// Robust execution function; `from` picks the pool wallet (the primary wallet when omitted)
+async function execBaseSwap(normQuote, pairLabel, estNetUsd, from) {
+  if (!BASESWAP_ROUTER) return { success: false, error: `no V2 router configured for ${cfg.EVM_CHAIN}` };
   const maxSwapRetries = Number(process.env.EXECUTION_RETRY_COUNT || 2);
   const swapTimeoutMs = Number(process.env.SWAP_TIMEOUT_MS || 120000);
   
   console.log(`[baseswap] 🚀 Starting robust execution for ${pairLabel}`);
   console.log(`[baseswap] Estimated profit: $${estNetUsd}`);
+  let journal = null;
   
   try {
-    const signer = wallet();
+    const signer = walletPool.signer(from);
     const router = new ethers.Contract(BASESWAP_ROUTER, V2_ROUTER_ABI, signer);
 
     const sellAddr = ethers.getAddress(normQuote.sellToken);
@@ -251,12 +150,14 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
     const amountIn = BigInt(normQuote.sellAmount);
     const expOut   = BigInt(normQuote.buyAmount);
 
-    // Get initial slippage
-    let slippageBps = parseInt(process.env.DEFAULT_SLIPPAGE_BPS || '250', 10);
-    let minOut = expOut * BigInt(10_000 - slippageBps) / BigInt(10_000);
+    // minOut from the pool's recent volatility and past fills, never below break-even
+    const fixedBps = parseInt(process.env.DEFAULT_SLIPPAGE_BPS || '250', 10);
+    let slip = slippageModel.minOut({ pair: pairLabel, router: 'baseswap', quote: normQuote, fixedBps });
+    let slippageBps = slip.bps;
+    let minOut = slip.minOut;
 
     const path = [sellAddr, buyAddr];
-    const from = await signer.getAddress();
+    from = await signer.getAddress();
 
     console.log(`[baseswap] 📊 Trade details:`);
     console.log(`  Wallet: ${from}`);
@@ -266,12 +167,20 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
     console.log(`  Expected Out: ${expOut.toString()} wei`);
     console.log(`  Min Out (${slippageBps/100}% slippage): ${minOut.toString()} wei`);
 
+    // Journal every step from here on, so a crash after submit can be recovered at boot
+    journal = txJournal.begin({
+      pair: pairLabel, router: 'baseswap', from, sellToken: sellAddr, buyToken: buyAddr,
+      sellAmount: amountIn, buyAmount: expOut, breakEvenOut: normQuote.breakEvenOut, estNetUsd,
+      sellUsd: normQuote.sellUsd, buyUsd: normQuote.buyUsd, gasUsd: normQuote.gasUsd, trip: normQuote.trip
+    });
+
     // Step 1: Check balance
     const sellToken = new ethers.Contract(sellAddr, ERC20_ABI, signer);
     const balance = await sellToken.balanceOf(from);
 
     if (balance < amountIn) {
       console.log(`[baseswap] ❌ Insufficient balance: ${balance} < ${amountIn}`);
+      txJournal.step(journal, 'failed', { error: 'Insufficient token balance' });
       return { success: false, txHash: '', error: 'Insufficient token balance' };
     }
 
@@ -279,24 +188,37 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
 
     // Step 2: Handle approval
     const tokenSymbol = normQuote.sellSymbol || 'TOKEN';
-    const approvalResult = await robustApproval(sellToken, BASESWAP_ROUTER, amountIn, from, tokenSymbol);
+    const approvalResult = await approvals.ensure(signer, sellAddr, BASESWAP_ROUTER, amountIn, { symbol: tokenSymbol, pair: pairLabel, router: 'baseswap' });
 
     if (!approvalResult.success) {
       console.log(`[baseswap] ❌ Approval failed: ${approvalResult.error}`);
+      txJournal.step(journal, 'failed', { error: `Approval failed: ${approvalResult.error}` });
       return { success: false, txHash: '', error: `Approval failed: ${approvalResult.error}` };
     }
 
     if (approvalResult.txHash) {
       console.log(`[baseswap] ✅ Approval completed: ${approvalResult.txHash}`);
     }
+    txJournal.step(journal, 'approved', { approvalTx: approvalResult.txHash });
 
-    // Step 3: Execute swap with retries
+    // Step 3: Execute swap with retries. Every mined attempt (a revert too) paid fees; they add up
+    const paid = [];
+    let lastMined = '';
     for (let swapAttempt = 1; swapAttempt <= maxSwapRetries; swapAttempt++) {
       try {
         console.log(`[baseswap] 🔄 Swap attempt ${swapAttempt}/${maxSwapRetries}...`);
 
         const deadline = Math.floor(Date.now() / 1000) + parseInt(process.env.TX_DEADLINE_SEC || '300', 10);
 
+        // Dry-run the exact swap; a revert or a losing fill is skipped without paying gas
+        const sim = await simulateSwap(router, [amountIn, minOut, path, from, BigInt(deadline)], from, normQuote.breakEvenOut);
+        if (!sim.ok) {
+          console.log(`[baseswap] 🧪 Not sending: ${sim.reason}`);
+          txJournal.step(journal, 'skipped', { error: sim.reason });
+          return { success: false, simulated: true, txHash: '', error: sim.reason, approvalTx: approvalResult.txHash, slippage: slip.inputs };
+        }
+        if (sim.amountOut !== undefined) console.log(`[baseswap] 🧪 Simulated output: ${sim.amountOut} (quoted ${expOut})`);
+
         // Get gas estimate
         let gasLimit;
         try {
@@ -310,16 +232,15 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
           console.log(`[baseswap] Gas estimation failed, using fallback: ${gasLimit}`);
         }
 
-        // Prepare transaction options
-        const txOptions = { gasLimit };
-        if (process.env.FIXED_GAS_PRICE_WEI) {
-          txOptions.gasPrice = BigInt(process.env.FIXED_GAS_PRICE_WEI);
-        }
+        // Prepare transaction options: the fee tier profitGuard priced this trade at
+        const fees = await feeEngine.quote({ provider: signer.provider, urgency: normQuote.feeUrgency, profitUsd: estNetUsd });
+        const txOptions = { gasLimit, ...feeEngine.txFields(fees) };
+        console.log(`[baseswap] Fees (${fees.urgency}): ${fees.type === 2 ? `max ${fees.maxFeePerGas}, tip ${fees.maxPriorityFeePerGas}` : `gasPrice ${fees.gasPrice}`}`);
 
         console.log(`[baseswap] 🔄 Executing swap with ${slippageBps/100}% slippage...`);
 
         // Execute swap
-        const swapTx = await router.swapExactTokensForTokens(
+        const swapReq = await router.swapExactTokensForTokens.populateTransaction(
           amountIn,
           minOut,
           path,
@@ -327,45 +248,73 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
           BigInt(deadline),
           txOptions
         );
+        const swapTx = await nonces.send(signer, swapReq, 'swap', { pair: pairLabel, router: 'baseswap', journal });
 
         console.log(`[baseswap] 📝 Swap transaction submitted: ${swapTx.hash}`);
 
-        // Wait for confirmation with timeout
-        const receipt = await Promise.race([
-          swapTx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error(`Swap timeout after ${swapTimeoutMs}ms`)), swapTimeoutMs)
-          )
-        ]);
+        // Wait for confirmation; past SWAP_TIMEOUT_MS it is sped up or cancelled
+        const waited = await nonces.waitForTx(signer, swapTx, swapTimeoutMs);
+        if (waited.outcome === 'pending') {
+          // Can still land: report it as pending, and don't retry on a fresh nonce.
+          // Its journal entry stays open; the next boot books it if it did land.
+          return {
+            success: false,
+            pending: true,
+            txHash: waited.hash,
+            error: `Swap still pending after ${waited.replacements} replacement(s)`,
+            approvalTx: approvalResult.txHash,
+            ...sumFees(paid)
+          };
+        }
+        if (waited.outcome === 'cancelled') {
+          txJournal.step(journal, 'dropped', { hash: waited.hash });
+          if (waited.receipt) paid.push(await receiptFees(signer.provider, waited.receipt));
+          return {
+            success: false,
+            cancelled: true,
+            txHash: waited.hash,
+            error: `Swap timed out after ${swapTimeoutMs}ms and was cancelled`,
+            approvalTx: approvalResult.txHash,
+            ...sumFees(paid)
+          };
+        }
+        const receipt = waited.receipt;
+        paid.push(await receiptFees(signer.provider, receipt));
+        lastMined = receipt.hash;
 
         if (receipt.status === 1) {
           console.log(`[baseswap] 🎉 SWAP SUCCESSFUL!`);
           console.log(`[baseswap] Gas used: ${receipt.gasUsed}`);
           console.log(`[baseswap] Final profit: $${estNetUsd}`);
+          const actual = actualAmounts(receipt, from, sellAddr, buyAddr);
+          approvals.spent(from, sellAddr, BASESWAP_ROUTER, actual.sellAmount || amountIn);
+          if (actual.buyAmount) slippageModel.observeFill(pairLabel, 'baseswap', expOut, actual.buyAmount);
+          txJournal.step(journal, 'confirmed', { hash: receipt.hash, sellAmount: actual.sellAmount, buyAmount: actual.buyAmount });
           
           return { 
             success: true, 
             txHash: receipt.hash, 
             gasUsed: receipt.gasUsed.toString(),
-            sellAmount: amountIn.toString(), 
-            buyAmount: expOut.toString(),
+            ...sumFees(paid),
+            sellAmount: actual.sellAmount || amountIn.toString(), 
+            buyAmount: actual.buyAmount || expOut.toString(),
             approvalTx: approvalResult.txHash
           };
         } else {
+          txJournal.step(journal, 'reverted', { hash: receipt.hash });
           throw new Error(`Swap transaction failed with status: ${receipt.status}`);
         }
 
       } catch (swapError) {
         console.log(`[baseswap] ❌ Swap attempt ${swapAttempt} failed: ${swapError.message}`);
 
-        // On first failure, try with higher slippage if enabled
+        // On first failure, retry with more room if enabled (still floored at break-even)
         if (swapAttempt === 1 && process.env.DYNAMIC_SLIPPAGE === 'true') {
-          const maxSlippage = Number(process.env.MAX_SLIPPAGE_BPS || 500);
-          const newSlippage = Math.min(slippageBps + 100, maxSlippage); // Add 1%
-          
-          if (newSlippage > slippageBps) {
-            slippageBps = newSlippage;
-            minOut = expOut * BigInt(10_000 - slippageBps) / BigInt(10_000);
+          const wider = slippageModel.minOut({ pair: pairLabel, router: 'baseswap', quote: normQuote, fixedBps, attempt: swapAttempt });
+          if (wider.minOut < minOut) {
+            slip = wider;
+            slippageBps = slip.bps;
+            minOut = slip.minOut;
             console.log(`[baseswap] 🔄 Retrying with higher slippage: ${slippageBps/100}%`);
             console.log(`[baseswap] New min out: ${minOut.toString()} wei`);
           }
@@ -374,11 +323,15 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
         // If this is the last attempt, return failure
         if (swapAttempt === maxSwapRetries) {
           console.log(`[baseswap] ❌ All swap attempts failed`);
+          approvals.forget(from, sellAddr, BASESWAP_ROUTER); // re-read the allowance next time
+          txJournal.step(journal, 'failed', { error: swapError.shortMessage || swapError.reason || swapError.message });
           return { 
             success: false, 
-            txHash: '', 
+            txHash: lastMined, // the last attempt that made it on-chain, if any
             error: swapError.shortMessage || swapError.reason || swapError.message,
-            approvalTx: approvalResult.txHash
+            approvalTx: approvalResult.txHash,
+            slippage: slip.inputs,
+            ...sumFees(paid)
           };
         }
         
@@ -389,6 +342,7 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
 
   } catch (error) {
     console.log(`[baseswap] ❌ Critical execution error: ${error.message}`);
+    txJournal.step(journal, 'failed', { error: error.shortMessage || error.reason || error.message });
     return { 
       success: false, 
       txHash: '', 
@@ -400,5 +354,5 @@ async function execBaseSwap(normQuote, pairLabel, estNetUsd) {
 module.exports = { 
   quoteBaseSwap, 
   execBaseSwap,
-  robustApproval 
+  BASESWAP_ROUTER
 };
\ No newline at end of file
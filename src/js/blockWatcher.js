@@ -0,0 +1,92 @@
+// src/js/blockWatcher.js - New-head tracking for block-driven scanning
+// Uses a newHeads subscription when EVM_WS_URL is set, otherwise polls
+// eth_blockNumber through the rate-limited provider. Quotes are stamped with
+// currentBlock() and anything older than MAX_QUOTE_AGE_BLOCKS is stale.
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { getProvider } = require('./robustProvider');
+const cfg = require('./multichainConfig');
+
+const bus = new EventEmitter();
+const state = { running: false, latest: null, seenAt: 0, timer: null, ws: null };
+
+// Default to the chain's block time, so Arbitrum polls faster than Base
+function pollMs() { return Math.max(250, parseInt(process.env.BLOCK_POLL_MS || String(Math.min(cfg.BLOCK_TIME_MS, 1000)), 10)); }
+function maxAgeBlocks() { return Math.max(0, parseInt(process.env.MAX_QUOTE_AGE_BLOCKS || '0', 10)); }
+
+function setLatest(n) {
+  if (!Number.isFinite(n)) return;
+  if (state.latest === null || n > state.latest) {
+    state.latest = n;
+    state.seenAt = Date.now();
+    bus.emit('block', n);
+  }
+}
+
+async function poll() {
+  try {
+    const raw = await getProvider().getBlockNumber();
+    setLatest(Number(BigInt(raw)));
+  } catch (e) {
+    console.log(`[blocks] eth_blockNumber failed: ${e.shortMessage || e.message}`);
+  }
+}
+
+function start() {
+  if (state.running) return;
+  state.running = true;
+
+  const wsUrl = process.env.EVM_WS_URL;
+  if (wsUrl) {
+    try {
+      state.ws = new ethers.WebSocketProvider(wsUrl, cfg.EVM_CHAIN_ID);
+      state.ws.on('block', (n) => setLatest(Number(n)));
+      console.log('[blocks] Subscribed to newHeads over WebSocket');
+      poll();
+      return;
+    } catch (e) {
+      console.log(`[blocks] WebSocket subscribe failed, falling back to polling: ${e.message}`);
+      state.ws = null;
+    }
+  }
+
+  console.log(`[blocks] Polling eth_blockNumber every ${pollMs()}ms`);
+  poll();
+  state.timer = setInterval(poll, pollMs());
+}
+
+function stop() {
+  state.running = false;
+  if (state.timer) {
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+  if (state.ws) {
+    try { state.ws.destroy(); } catch {}
+    state.ws = null;
+  }
+}
+
+function isRunning() { return state.running; }
+
+/** Latest head seen, or null when the watcher isn't running. */
+function currentBlock() {
+  return state.running ? state.latest : null;
+}
+
+function onBlock(fn) {
+  bus.on('block', fn);
+  return () => bus.off('block', fn);
+}
+
+/**
+ * True when the watcher is running and the quote was taken more than
+ * MAX_QUOTE_AGE_BLOCKS blocks ago. Quotes without a block number are not judged.
+ */
+function isStale(quote) {
+  if (!state.running || state.latest === null) return false;
+  if (!quote || quote.blockNumber == null) return false;
+  return state.latest - Number(quote.blockNumber) > maxAgeBlocks();
+}
+
+module.exports = { start, stop, isRunning, currentBlock, onBlock, isStale };
@@ -11,16 +11,51 @@ const server = require('./dashboardServer');
   process.env.EVM_PRIVATE_KEY = pk;
 })();
 
-// --- Auto-start the bot on process boot ---
+// --- Today's realized PnL (live + paper) and a month of history for the dashboard windows ---
 try {
-  const { start } = require('./chainWorker');
-  const auto = String(process.env.AUTO_START || 'true').toLowerCase();
-  if (auto === 'true' || auto === '1' || auto === 'yes') {
-    const res = start();
-    console.log('[boot] auto-start:', res);
-  } else {
-    console.log('[boot] auto-start disabled (set AUTO_START=true to enable)');
-  }
+  const pnlStore = require('./pnlStore');
+  pnlStore.initFromTodayCsv();
+  pnlStore.initHistory(30);
 } catch (e) {
-  console.error('[boot] auto-start failed:', e?.message || e);
+  console.error('[boot] pnl init failed:', e?.message || e);
+}
+
+// --- Auto-start the bot on process boot ---
+function autoStart() {
+  try {
+    const { start } = require('./chainWorker');
+    const auto = String(process.env.AUTO_START || 'true').toLowerCase();
+    if (auto === 'true' || auto === '1' || auto === 'yes') {
+      const res = start();
+      console.log('[boot] auto-start:', res);
+    } else {
+      console.log('[boot] auto-start disabled (set AUTO_START=true to enable)');
+    }
+  } catch (e) {
+    console.error('[boot] auto-start failed:', e?.message || e);
+  }
+}
+
+// --- Settle swaps a crash left between submit and receipt (tx journal) before trading again ---
+require('./txJournal').recover()
+  .then(res => { if (res.length) console.log(`[boot] journal: ${res.map(r => `${r.pair} ${r.status}`).join(', ')}`); })
+  .catch(e => console.error('[boot] journal recovery failed:', e?.message || e))
+  .finally(autoStart);
+
+// --- Graceful shutdown: drain in-flight swaps, save the session; a second signal forces exit ---
+let shuttingDown = false;
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, () => {
+    const worker = require('./chainWorker');
+    if (shuttingDown) {
+      console.log(`[boot] ${sig} again, exiting without waiting`);
+      try { worker.saveState(); } catch {}
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`[boot] ${sig} received, shutting down (send again to force)`);
+    worker.stop()
+      .catch(e => console.error('[boot] shutdown failed:', e?.message || e))
+      .finally(() => process.exit(0));
+  });
 }
@@ -1,12 +1,19 @@
 // src/js/chainWorker.js - UPDATED with better error handling and execution flow
-const { ethers } = require('ethers');
 const cfg = require('./multichainConfig');
-const { getBestQuote } = require('./robustQuoter');
-const { execByRouter } = require('./evmExecutors');
-const { check: profitCheck } = require('./profitGuard');
-const { amountForUsdToken } = require('./sizing');
+const { isDryRun } = require('./evmExecutors');
+const { recordTrade } = require('./tradeRecorder');
+const { loadStrategies } = require('./strategies');
+const { toAddrLower, parsePairLabel, inventoryAware } = require('./strategies/common');
+const { ScanScheduler } = require('./scanScheduler');
+const blocks = require('./blockWatcher');
+const pairHealth = require('./pairHealth');
+const prioritizer = require('./pairPrioritizer');
+const sessionState = require('./sessionState');
+const txTracker = require('./txTracker');
+const risk = require('./riskSupervisor');
 const { resolveToken } = require('./tokenResolver');
 const { getProvider } = require('./robustProvider');
+const walletPool = require('./walletPool');
 const log = require('./logger');
 const fs = require('fs');
 const path = require('path');
@@ -17,16 +24,6 @@ function intervalFromRps(val) {
   return Math.max(1000, Math.floor(1000 / Math.max(r, 0.1))); // Minimum 1 second
 }
 
-function toAddrLower(v) {
-  return String(v || '').trim().toLowerCase();
-}
-
-function parsePairLabel(label) {
-  const [a, b] = String(label).split('/').map(s => s.trim());
-  if (!a || !b) throw new Error(`Bad pair label: ${label}`);
-  return { sell: a, buy: b };
-}
-
 function uniq(arr) {
   const s = new Set();
   const out = [];
@@ -40,9 +37,9 @@ function uniq(arr) {
   return out;
 }
 
-function loadPairs() {
+function loadPairs({ file: pairsFile = process.env.EVM_PAIRS_FILE, list = process.env.EVM_PAIRS } = {}) {
   // Prefer JSON file if provided
-  const file = process.env.EVM_PAIRS_FILE ? path.resolve(process.cwd(), process.env.EVM_PAIRS_FILE) : null;
+  const file = pairsFile ? path.resolve(process.cwd(), pairsFile) : null;
   let fromFile = [];
   if (file && fs.existsSync(file)) {
     try {
@@ -50,10 +47,10 @@ function loadPairs() {
       if (Array.isArray(arr)) fromFile = arr.map(s => String(s).trim()).filter(Boolean);
       console.log(`[pairs] Loaded ${fromFile.length} from ${file}`);
     } catch (e) {
-      console.warn('[pairs] failed to read EVM_PAIRS_FILE:', e.message || String(e));
+      console.warn(`[pairs] failed to read ${file}:`, e.message || String(e));
     }
   }
-  const fromEnv = String(process.env.EVM_PAIRS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const fromEnv = String(list || '').split(',').map(s => s.trim()).filter(Boolean);
   let pairs = uniq([...(fromFile || []), ...(fromEnv || [])]);
   if (pairs.length === 0) pairs = ['WETH/USDC']; // fallback
 
@@ -76,222 +73,197 @@ function loadPairs() {
   return pairs;
 }
 
-/** -------------------- enhanced attempt with better execution flow -------------------- */
-async function attemptOnce(chain, chainId, pairLabel, baseUsd, fromAddress) {
-  let provider;
-  const startTime = Date.now();
-  
-  try {
-    const { sell, buy } = parsePairLabel(pairLabel);
-
-    // Resolve token symbols or addresses to canonical addresses
-    const sellToken = await resolveToken(sell);
-    const buyToken = await resolveToken(buy);
-
-    // Use our robust provider
-    provider = getProvider();
+/** -------------------- strategy attempt: scan -> evaluate -> execute -------------------- */
+async function attempt(chainId, strategy, target, fromAddress) {
+  const st = strategyStats(strategy.name);
+  const ctx = {
+    chainId,
+    from: fromAddress,
+    provider: getProvider(),
+    strategy: strategy.name,
+    startTime: Date.now(),
+    book: (trade, paper) => bookSuccess(strategy, trade, paper),
+    failed: (trade) => bookFailure(strategy, trade) // the pair's own streak is kept by pairHealth off the fail event
+  };
 
-    // Size trade: get N wei of sellToken worth `baseUsd`
-    console.log(`[attempt] Sizing trade: ${baseUsd} worth of ${sell}...`);
-    let sellAmount;
-    try {
-      sellAmount = await amountForUsdToken(provider, sellToken, baseUsd);
-      console.log(`[attempt] Trade size: ${sellAmount.toString()} wei of ${sell}`);
-    } catch (sizingError) {
-      log.warn('sizing_error', { 
-        pair: pairLabel, 
-        msg: `Cannot size trade: ${sizingError.message}` 
-      });
-      return;
-    }
+  let candidates;
+  try {
+    st.scans++;
+    candidates = [].concat((await strategy.scan(ctx, target)) || []);
+    runner.consecutiveErrors = 0; // the worker and its RPC are fine, whatever the pair does next
+  } catch (e) {
+    return reportError(e, target || strategy.name, st);
+  }
 
-    // Check wallet balance before getting quotes
-    const ERC20_ABI = ['function balanceOf(address) view returns (uint256)'];
+  for (const c of candidates) {
     try {
-      const tokenContract = new ethers.Contract(sellToken, ERC20_ABI, provider);
-      const balance = await tokenContract.balanceOf(fromAddress);
-      
-      if (balance < sellAmount) {
-        log.info('insufficient_balance', { 
-          pair: pairLabel, 
-          required: sellAmount.toString(),
-          available: balance.toString(),
-          msg: 'Insufficient balance for trade'
+      const guard = await strategy.evaluate(ctx, c);
+      if (!guard.ok) {
+        st.skips++;
+        log.info('skip', {
+          pair: c.pair,
+          strategy: strategy.name,
+          oppId: c.oppId,
+          reason: 'profit_guard',
+          router: c.router,
+          netUsd: guard.netUsd,
+          netStartRaw: guard.netStartRaw,
+          ...c.fields,
+          msg: `Unprofitable: ${guard.netUsd}`
         });
-        return;
+        continue;
       }
-      console.log(`[attempt] ✅ Sufficient balance: ${balance.toString()} >= ${sellAmount.toString()}`);
-    } catch (balanceError) {
-      log.warn('balance_check_failed', { 
-        pair: pairLabel, 
-        msg: `Balance check failed: ${balanceError.message}` 
+
+      st.opportunities++;
+      log.info('opportunity', {
+        pair: c.pair,
+        strategy: strategy.name,
+        oppId: c.oppId,
+        router: c.router,
+        estNetUsd: guard.netUsd,
+        gasUsd: guard.gasUsd,
+        grossUsd: guard.grossUsd,
+        netStartRaw: guard.netStartRaw,
+        ...c.fields,
+        sizeCurve: c.sized ? c.sized.curve : undefined,
+        msg: `${strategy.name} estimated profit: ${guard.netUsd}`
       });
-      // Continue anyway - the execution will catch this
-    }
 
-    // Get best quote with fallbacks
-    console.log(`[attempt] Getting quotes for ${pairLabel}...`);
-    const bestQuote = await getBestQuote(sellToken, buyToken, sellAmount);
-    if (!bestQuote) {
-      log.warn('noquote', { pair: pairLabel, msg: 'no valid quotes from any router' });
-      return;
+      // Circuit breaker: keep scanning and logging opportunities, but don't trade
+      if (!risk.allowExecution()) {
+        st.halted++;
+        log.info('skip', { pair: c.pair, strategy: strategy.name, oppId: c.oppId, reason: 'circuit_open', router: c.router, msg: `Circuit breaker open (${risk.status().tripped.reason}), not executing` });
+        continue;
+      }
+
+      await strategy.execute(ctx, c, guard);
+    } catch (e) {
+      reportError(e, c.pair, st);
     }
+  }
+}
 
-    console.log(`[attempt] ✅ Best quote: ${bestQuote.router} - ${ethers.formatEther(bestQuote.buyAmount)} output`);
+// RPC-level trouble slows every pair down; anything else is the pair's own problem
+const WORKER_FAULT = /compute units|rate limit|\b429\b|ECONNREFUSED|ECONNRESET|ETIMEDOUT|SERVER_ERROR|NETWORK_ERROR|could not detect network/i;
 
-    // Profitability guard
-    console.log(`[attempt] Checking profitability...`);
-    const guard = await profitCheck({
-      chainId,
-      pair: pairLabel,
-      side: 'sell',
-      sellAmountWei: sellAmount,
-      normQuote: bestQuote
-    });
+function reportError(e, pair, st) {
+  const errorMsg = e.shortMessage || e.message || String(e);
 
-    if (!guard.ok) {
-      log.info('skip', { 
-        pair: pairLabel, 
-        reason: 'profit_guard', 
-        netUsd: guard.netUsd, 
-        router: bestQuote.router,
-        msg: `Unprofitable: ${guard.netUsd}` 
-      });
-      return;
-    }
+  // Categorize errors for better handling. Pair-specific problems are tracked
+  // per pair by pairHealth and don't slow down scanning of other pairs; only
+  // worker-level faults count toward runner.consecutiveErrors.
+  if (errorMsg.includes('No pool found') || errorMsg.includes('No USD pricing route')) {
+    log.info('nopool', { pair, strategy: st.name, msg: 'No suitable pool/route available' });
+    return;
+  }
 
-    log.info('opportunity', { 
-      pair: pairLabel, 
-      router: bestQuote.router, 
-      estNetUsd: guard.netUsd,
-      gasUsd: guard.gasUsd,
-      grossUsd: guard.grossUsd,
-      msg: `Estimated profit: ${guard.netUsd}` 
-    });
+  st.errors++;
+  if (WORKER_FAULT.test(errorMsg) || (e.code && WORKER_FAULT.test(e.code))) {
+    runner.consecutiveErrors++;
+    if (errorMsg.includes('compute units') || errorMsg.includes('rate limit')) log.warn('ratelimit', { pair, strategy: st.name, msg: 'Rate limited, backing off' });
+    else log.error('error', { pair, strategy: st.name, msg: errorMsg });
+    return;
+  }
 
-    // Pre-execution checks
-    console.log(`[attempt] Performing pre-execution checks...`);
-    
-    // Check if we need approval
-    const needsApproval = await checkApprovalNeeded(sellToken, fromAddress, sellAmount);
-    if (needsApproval) {
-      console.log(`[attempt] ⚠️  Pre-check: Token approval will be needed`);
-    } else {
-      console.log(`[attempt] ✅ Pre-check: Token already approved`);
-    }
+  pairHealth.recordFailure(pair, 'exec', errorMsg);
+  if (errorMsg.includes('insufficient funds') || errorMsg.includes('Insufficient')) {
+    log.warn('insufficient_funds', { pair, strategy: st.name, msg: errorMsg });
+  } else if (errorMsg.includes('nonce') || errorMsg.includes('replacement')) {
+    log.warn('nonce_error', { pair, strategy: st.name, msg: errorMsg });
+  } else {
+    log.error('error', { pair, strategy: st.name, msg: errorMsg });
+  }
+}
 
-    // Check ETH balance for gas
-    const ethBalance = await provider.getBalance(fromAddress);
-    const estimatedGasCost = BigInt(guard.gasUsd * 1e6) * BigInt(4270) / BigInt(1e6); // Rough ETH cost
-    if (ethBalance < estimatedGasCost) {
-      log.warn('low_eth', { 
-        pair: pairLabel, 
-        ethBalance: ethBalance.toString(),
-        estimatedCost: estimatedGasCost.toString(),
-        msg: 'Low ETH balance for gas' 
-      });
-    }
+/** -------------------- booking -------------------- */
+function strategyStats(name) {
+  if (!runner.strategyStats[name]) {
+    runner.strategyStats[name] = {
+      name, scans: 0, opportunities: 0, skips: 0, trades: 0, profit: 0,
+      paperTrades: 0, paperProfit: 0, failures: 0, errors: 0, halted: 0
+    };
+  }
+  return runner.strategyStats[name];
+}
 
-    // Execute with enhanced logging
-    console.log(`[attempt] 🚀 Executing trade...`);
-    const executionStart = Date.now();
-    
-    const res = await execByRouter(chainId, bestQuote.router, bestQuote, pairLabel, guard.netUsd);
-    
-    const executionTime = Date.now() - executionStart;
-    const totalTime = Date.now() - startTime;
-    
-    if (res && res.success) {
-      log.info('success', { 
-        router: bestQuote.router, 
-        pair: pairLabel, 
-        txHash: res.txHash, 
-        estNetUsd: guard.netUsd,
-        sellAmount: bestQuote.sellAmount,
-        buyAmount: bestQuote.buyAmount,
-        gasUsed: res.gasUsed,
-        executionTimeMs: executionTime,
-        totalTimeMs: totalTime,
-        approvalTx: res.approvalTx,
-        msg: `SUCCESSFUL TRADE! Profit: ${guard.netUsd}`
-      });
-      
-      // Update success metrics
-      runner.consecutiveErrors = 0;
-      runner.lastSuccessTime = Date.now();
-      runner.totalSuccessfulTrades = (runner.totalSuccessfulTrades || 0) + 1;
-      runner.totalProfit = (runner.totalProfit || 0) + guard.netUsd;
-      
-      console.log(`[attempt] 🎉 TRADE #${runner.totalSuccessfulTrades} SUCCESSFUL!`);
-      console.log(`[attempt] 💰 Session profit: ${runner.totalProfit.toFixed(2)}`);
-      
-    } else {
-      log.warn('fail', { 
-        router: bestQuote.router, 
-        pair: pairLabel, 
-        txHash: (res && res.txHash) || '', 
-        error: (res && res.error) || 'unknown error',
-        executionTimeMs: executionTime,
-        totalTimeMs: totalTime,
-        approvalTx: res && res.approvalTx,
-        msg: `TRADE FAILED: ${(res && res.error) || 'unknown error'}` 
-      });
-      
-      runner.consecutiveErrors++;
-    }
-    
+function bookSuccess(strategy, trade, paper) {
+  const st = strategyStats(strategy.name);
+  runner.consecutiveErrors = 0;
+  runner.lastSuccessTime = Date.now();
+  // Receipt-based result when there is one (live trades), else the estimate
+  const net = Number.isFinite(trade.realizedNetUsd) ? trade.realizedNetUsd : trade.netUsd;
+  if (paper && trade.fill === 'quote') {
+    // Filled at the quote (no eth_call possible): logged, but not a fair paper result
+    console.log(`[attempt] 📝 Paper trade filled at the quote, kept out of the paper totals (${strategy.name})`);
+    try { recordTrade({ ...trade, strategy: strategy.name, mode: 'paper_quote' }); } catch (e) { console.log(`[attempt] Trade booking failed: ${e.message}`); }
+    return;
+  }
+  if (paper) {
+    runner.paperTrades += 1;
+    runner.paperProfit += net;
+    st.paperTrades += 1;
+    st.paperProfit += net;
+  } else {
+    runner.totalSuccessfulTrades = (runner.totalSuccessfulTrades || 0) + 1;
+    runner.totalProfit = (runner.totalProfit || 0) + net;
+    st.trades += 1;
+    st.profit += net;
+  }
+  console.log(`[attempt] 🎉 ${paper ? 'PAPER ' : ''}TRADE #${paper ? runner.paperTrades : runner.totalSuccessfulTrades} SUCCESSFUL! (${strategy.name})`);
+  console.log(`[attempt] 💰 Session profit: ${runner.totalProfit.toFixed(2)} (paper ${runner.paperProfit.toFixed(2)})`);
+  try {
+    recordTrade({ ...trade, strategy: strategy.name, mode: paper ? 'paper' : 'live' });
   } catch (e) {
-    const errorMsg = e.shortMessage || e.message || String(e);
-    runner.consecutiveErrors++;
-    
-    // Categorize errors for better handling
-    if (errorMsg.includes('compute units') || errorMsg.includes('rate limit')) {
-      log.warn('ratelimit', { pair: pairLabel, msg: 'Rate limited, backing off' });
-    } else if (errorMsg.includes('No pool found') || errorMsg.includes('No USD pricing route')) {
-      log.info('nopool', { pair: pairLabel, msg: 'No suitable pool/route available' });
-    } else if (errorMsg.includes('insufficient funds') || errorMsg.includes('Insufficient')) {
-      log.warn('insufficient_funds', { pair: pairLabel, msg: errorMsg });
-    } else if (errorMsg.includes('nonce') || errorMsg.includes('replacement')) {
-      log.warn('nonce_error', { pair: pairLabel, msg: errorMsg });
-    } else {
-      log.error('error', { pair: pairLabel, msg: errorMsg });
-    }
+    console.log(`[attempt] Trade booking failed: ${e.message}`);
   }
 }
 
-// Helper function to check if approval is needed
-async function checkApprovalNeeded(tokenAddress, walletAddress, requiredAmount) {
+// A failed attempt; `trade` is its gas-only row (strategies/common gasOnlyTrade()) when txs were mined
+function bookFailure(strategy, trade) {
+  const st = strategyStats(strategy.name);
+  st.failures++;
+  if (!trade) return;
+  runner.totalProfit = (runner.totalProfit || 0) + trade.realizedNetUsd;
+  st.profit += trade.realizedNetUsd;
+  console.log(`[attempt] ⛽ Failed trade burned $${trade.gasPaidUsd} of gas (${strategy.name})`);
   try {
-    const BASESWAP_ROUTER = process.env.BASESWAP_ROUTER || '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86';
-    const provider = getProvider();
-    
-    const ERC20_ABI = ['function allowance(address,address) view returns (uint256)'];
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    
-    const currentAllowance = await tokenContract.allowance(walletAddress, BASESWAP_ROUTER);
-    return currentAllowance < requiredAmount;
-  } catch {
-    return true; // Assume approval needed if check fails
+    recordTrade({ ...trade, strategy: strategy.name, mode: 'live' });
+  } catch (e) {
+    console.log(`[attempt] Trade booking failed: ${e.message}`);
   }
 }
 
 /** -------------------- enhanced runner with performance tracking -------------------- */
 const runner = {
-  timer: null,
+  scheduler: null,
+  concurrency: 2,
+  strategies: [],
+  strategyStats: {},
+  timers: [],
   running: false,
+  stopping: null,
   pairs: [],
-  baseUsd: 15,
+  scanMode: 'timer',
+  healthAttached: false,
+  prioritize: false,
+  lastScannedBlock: null,
+  offBlock: null,
+  stateTimer: null,
+  stateLoaded: false,
+  pendingJobs: [],
   intervalMs: 2000,
   idx: 0,
   consecutiveErrors: 0,
   lastSuccessTime: Date.now(),
   totalSuccessfulTrades: 0,
   totalProfit: 0,
+  paperTrades: 0,
+  paperProfit: 0,
   startTime: Date.now()
 };
 
 function rpcInterval() {
-  const chain = (cfg.EVM_CHAIN || 'base').toUpperCase();
+  const chain = cfg.EVM_CHAIN.toUpperCase();
   const key = `${chain}_RPC_RPS`;
   const rps = process.env[key] || process.env.BASE_RPC_RPS || '1';
   return Math.max(1000, intervalFromRps(rps)); // Minimum 1 second
@@ -324,105 +296,386 @@ function getSessionStats() {
   const runtimeMinutes = (Date.now() - runner.startTime) / 60000;
   const successRate = runner.totalSuccessfulTrades > 0 ? 
     (runner.totalSuccessfulTrades / (runner.totalSuccessfulTrades + runner.consecutiveErrors)) * 100 : 0;
+
+  const strategies = {};
+  for (const s of runner.strategies) {
+    const st = strategyStats(s.name);
+    strategies[s.name] = {
+      ...st,
+      profit: `${st.profit.toFixed(2)}`,
+      paperProfit: `${st.paperProfit.toFixed(2)}`,
+      kind: s.kind,
+      pairs: s.pairs.length,
+      baseUsd: s.baseUsd,
+      minProfitUsd: s.minProfitUsd,
+      sizeSearch: s.sizeSearch
+    };
+  }
   
   return {
     runtime: `${runtimeMinutes.toFixed(1)}m`,
     trades: runner.totalSuccessfulTrades,
     profit: `${(runner.totalProfit || 0).toFixed(2)}`,
+    paperTrades: runner.paperTrades,
+    paperProfit: `${(runner.paperProfit || 0).toFixed(2)}`,
+    dryRun: isDryRun(),
     successRate: `${successRate.toFixed(1)}%`,
-    errorStreak: runner.consecutiveErrors
+    errorStreak: runner.consecutiveErrors,
+    scanMode: runner.scanMode,
+    block: blocks.currentBlock(),
+    circuit: (() => { const r = risk.status(); return { tripped: r.tripped, trips: r.trips, failRate: r.window.failRate, gasUsd: r.window.gasUsd }; })(),
+    strategies,
+    wallets: walletPool.snapshot(),
+    hotPairs: runner.prioritize ? prioritizer.snapshot(5).map(p => ({ pair: p.pair, score: p.score })) : [],
+    pairHealth: (() => { const h = pairHealth.snapshot(); return { cooling: Object.keys(h.cooling).length, blacklisted: Object.keys(h.blacklist).length }; })(),
+    ...(runner.scheduler ? runner.scheduler.stats() : { queueDepth: 0, inFlight: 0, concurrency: runner.concurrency, pairLatency: {} })
+  };
+}
+
+// Scheduler jobs are "<strategy>:<pair>" so strategies can scan the same pair side by side;
+// a timer strategy's whole-graph pass is "<strategy>:" (no pair)
+function jobKey(strategy, pair) { return `${strategy.name}:${pair}`; }
+
+function parseJob(job) {
+  const i = job.indexOf(':');
+  return { strategy: runner.strategies.find(s => s.name === job.slice(0, i)), pair: job.slice(i + 1) };
+}
+
+// The job itself, and the pair for every strategy: never two attempts on one pair at once
+function jobLockKeys(job) {
+  const { pair } = parseJob(job);
+  return pair ? [`job:${job}`, `pair:${pair}`] : [`job:${job}`];
+}
+
+// Tokens an attempt may sell: inventory-aware strategies can sell either side,
+// and a timer pass (cycles) any token of its pair graph
+const sellTokenCache = new Map();
+function jobSellTokens(job) {
+  if (!sellTokenCache.has(job)) {
+    const { strategy, pair } = parseJob(job);
+    const tokenKey = (t) => { try { return toAddrLower(resolveToken(t)); } catch { return toAddrLower(t); } };
+    const sidesOf = (label, both) => {
+      try {
+        const { sell, buy } = parsePairLabel(label);
+        return both ? [sell, buy] : [sell];
+      } catch {
+        return [label];
+      }
+    };
+    const sides = pair
+      ? sidesOf(pair, inventoryAware())
+      : ((strategy && strategy.pairs) || []).flatMap(p => sidesOf(p, true));
+    sellTokenCache.set(job, uniq(sides.map(tokenKey)));
+  }
+  return sellTokenCache.get(job);
+}
+
+// Each attempt runs from a wallet that isn't already selling the same token, so
+// two attempts never spend the same inventory; idle wallets are picked first
+function assignWallet(job, isFree) {
+  const w = walletPool.assign(jobSellTokens(job), isFree);
+  return w ? { keys: w.keys, lease: w.address } : null;
+}
+
+// Block mode: one pass over the pairs per new head; nothing to do until the next block
+function refillOnNewBlock() {
+  const head = blocks.currentBlock();
+  if (head === null || head === runner.lastScannedBlock) return [];
+  runner.lastScannedBlock = head;
+  return nextJobs();
+}
+
+// Available pairs of every pair strategy in scan order: weighted by opportunity when PRIORITIZE=true
+function nextJobs() {
+  const jobs = [];
+  for (const s of runner.strategies) {
+    if (s.kind !== 'pairs') continue;
+    const available = pairHealth.filterAvailable(s.pairs);
+    const ordered = runner.prioritize ? prioritizer.nextBatch(available, s.name) : available;
+    for (const p of ordered) jobs.push(jobKey(s, p));
+  }
+  return jobs;
+}
+
+async function scanJob(chainId, job, from = walletPool.primary()) {
+  if (!runner.running) return;
+  const { strategy, pair } = parseJob(job);
+  if (!strategy) return;
+  walletPool.acquire(from);
+  try {
+    runner.idx = (runner.idx + 1) % Math.max(runner.pairs.length, 1);
+
+    // Show periodic stats
+    if (runner.idx % 20 === 0 && runner.totalSuccessfulTrades > 0) {
+      const stats = getSessionStats();
+      console.log(`[bot] 📊 Session stats: ${stats.trades} trades, ${stats.profit}, ${stats.successRate} success, ${stats.runtime}, queue ${stats.queueDepth}`);
+    }
+
+    log.info('tick', { msg: pair ? 'scanning pair' : 'scanning pair graph', pair, strategy: strategy.name });
+
+    await attempt(chainId, strategy, pair || null, from);
+
+  } catch (e) {
+    const m = e.shortMessage || e.message || String(e);
+    runner.consecutiveErrors++;
+
+    // Don't log every rate limit error
+    if (!m.includes('compute units') && !m.includes('rate limit')) {
+      log.error('error', { pair, strategy: strategy.name, msg: m });
+    }
+
+    // Adaptive backoff on errors
+    if (runner.consecutiveErrors % 10 === 0) {
+      console.log(`[bot] ⚠️  ${runner.consecutiveErrors} consecutive errors, implementing backoff...`);
+      await new Promise(r => setTimeout(r, Math.min(runner.consecutiveErrors * 1000, 10000)));
+    }
+  } finally {
+    walletPool.release(from);
+  }
+
+  // Adjust intervals based on recent performance
+  if (runner.idx % 10 === 0) {
+    adjustInterval();
+  }
+}
+
+/** -------------------- session persistence -------------------- */
+// Everything that should survive a restart; intervals and schedulers are rebuilt at start()
+const PERSISTED = [
+  'consecutiveErrors', 'lastSuccessTime', 'totalSuccessfulTrades', 'totalProfit',
+  'paperTrades', 'paperProfit', 'startTime', 'idx', 'strategyStats'
+];
+
+function snapshotState() {
+  const saved = {};
+  for (const k of PERSISTED) saved[k] = runner[k];
+  return {
+    runner: saved,
+    risk: risk.snapshot(),
+    cursor: { idx: runner.idx, pending: runner.scheduler ? runner.scheduler.queue.slice() : runner.pendingJobs },
+    logger: log.getStats()
   };
 }
 
+function saveState() {
+  if (!runner.stateLoaded) return false; // never started: don't clobber the last session
+  return sessionState.save(snapshotState());
+}
+
+// Once per process: pick up where the last run stopped, unless a fresh session was asked for
+function restoreState() {
+  runner.stateLoaded = true;
+  if (sessionState.freshRequested()) {
+    sessionState.clear();
+    console.log('[state] Fresh session requested, previous runner state discarded');
+    return false;
+  }
+  const saved = sessionState.load();
+  if (!saved) return false;
+
+  for (const k of PERSISTED) {
+    if (saved.runner && saved.runner[k] !== undefined) runner[k] = saved.runner[k];
+  }
+  runner.pendingJobs = (saved.cursor && Array.isArray(saved.cursor.pending)) ? saved.cursor.pending : [];
+  log.restoreStats(saved.logger || {});
+  risk.restore(saved.risk || {});
+  console.log(`[state] Restored session from ${saved.savedAt}: ${runner.totalSuccessfulTrades} trades (${runner.paperTrades} paper), ${runner.totalProfit.toFixed(2)} profit, ${runner.pendingJobs.length} pairs pending`);
+  return true;
+}
+
+/** Drop the saved session and zero the totals, as if the bot had never run. */
+function freshSession() {
+  Object.assign(runner, {
+    consecutiveErrors: 0,
+    lastSuccessTime: Date.now(),
+    totalSuccessfulTrades: 0,
+    totalProfit: 0,
+    paperTrades: 0,
+    paperProfit: 0,
+    startTime: Date.now(),
+    idx: 0,
+    strategyStats: {},
+    pendingJobs: []
+  });
+  log.resetStats();
+  sessionState.clear();
+  if (runner.running) saveState();
+  log.info('session', { msg: 'Fresh session started' });
+  return { fresh: true, running: runner.running };
+}
+
+// Timer strategies (cycles) scan the whole graph every everyMs, one pass at a time.
+// The pass is queued at the front of the scheduler, so it gets a wallet and sell
+// locks like any pair attempt and never spends inventory one is sized against
+function startTimerStrategy(strategy) {
+  console.log(`[bot] 🔺 ${strategy.name} scan every ${strategy.everyMs}ms`);
+  runner.timers.push(setInterval(() => {
+    if (runner.scheduler) runner.scheduler.push(jobKey(strategy, ''));
+  }, strategy.everyMs));
+}
+
 function start() {
   if (runner.running) return { running: true };
+  if (runner.stopping) return { running: false, stopping: true };
 
-  const chainId = parseInt(process.env.EVM_CHAIN_ID || '8453', 10);
-  runner.pairs = loadPairs();
-  runner.baseUsd = parseFloat(process.env.BASE_TRADE_USD || '15');
+  const chainId = cfg.EVM_CHAIN_ID;
+  runner.strategies = loadStrategies({ loadPairs });
+  runner.pairs = uniq(runner.strategies.flatMap(s => s.pairs));
   runner.intervalMs = rpcInterval();
+  runner.scanMode = String(process.env.SCAN_MODE || 'timer').toLowerCase() === 'block' ? 'block' : 'timer';
+  runner.concurrency = Math.max(1, parseInt(process.env.SCAN_CONCURRENCY || '2', 10) || 1);
+  runner.prioritize = String(process.env.PRIORITIZE || 'false').toLowerCase() === 'true';
+  if (!runner.healthAttached) {
+    pairHealth.attach(log.bus);
+    prioritizer.attach(log.bus);
+    risk.attach(log.bus);
+    runner.healthAttached = true;
+  }
   runner.running = true;
-  runner.consecutiveErrors = 0;
-  runner.startTime = Date.now();
+  const restored = !runner.stateLoaded && restoreState();
+  if (!restored) {
+    runner.consecutiveErrors = 0;
+    runner.startTime = Date.now();
+  }
 
   log.info('boot', {
     msg: 'Enhanced bot started with robust execution',
     chainId,
     pairs: runner.pairs.slice(0, 5).join('|') + (runner.pairs.length > 5 ? `|...(+${runner.pairs.length - 5})` : ''),
-    baseUsd: runner.baseUsd,
+    strategies: runner.strategies.map(s => s.name).join(','),
     intervalMs: runner.intervalMs,
+    concurrency: runner.concurrency,
+    scanMode: runner.scanMode,
+    prioritize: runner.prioritize,
+    dryRun: isDryRun(),
+    restored,
     totalPairs: runner.pairs.length
   });
 
   console.log(`[bot] 🚀 Enhanced Swatticus bot starting!`);
   console.log(`[bot] 📊 Trading pairs: ${runner.pairs.length}`);
-  console.log(`[bot] 💰 Trade size: ${runner.baseUsd}`);
-  console.log(`[bot] ⏱️  Scan interval: ${runner.intervalMs}ms`);
-  console.log(`[bot] 🎯 Min profit: ${process.env.MIN_PROFIT_USD || 3}`);
-
-  runner.timer = setInterval(async () => {
-    try {
-      if (!runner.pairs.length) return;
-      
-      const pair = runner.pairs[runner.idx % runner.pairs.length];
-      runner.idx = (runner.idx + 1) % runner.pairs.length;
-
-      // Show periodic stats
-      if (runner.idx % 20 === 0 && runner.totalSuccessfulTrades > 0) {
-        const stats = getSessionStats();
-        console.log(`[bot] 📊 Session stats: ${stats.trades} trades, ${stats.profit}, ${stats.successRate} success, ${stats.runtime}`);
-      }
+  for (const s of runner.strategies) {
+    const size = s.sizeSearch ? `search ${process.env.SIZE_MIN_USD || 5}..${process.env.SIZE_MAX_USD || 250}` : s.baseUsd;
+    console.log(`[bot] 🔁 Strategy ${s.name}: ${s.pairs.length} pairs, size ${size}, min profit ${s.minProfitUsd}`);
+  }
+  if (isDryRun()) console.log(`[bot] 📝 DRY_RUN: paper trading only, nothing is broadcast`);
+  console.log(`[bot] ⏱️  Scan interval: ${runner.intervalMs}ms, ${runner.concurrency} concurrent, ${runner.scanMode === 'block' ? 'per new block' : 'timer'}`);
+
+  runner.scheduler = new ScanScheduler({
+    concurrency: runner.concurrency,
+    gapMs: () => runner.intervalMs,
+    refill: runner.scanMode === 'block' ? refillOnNewBlock : nextJobs,
+    lockKeys: jobLockKeys,
+    assign: assignWallet,
+    run: (job, from) => scanJob(chainId, job, from)
+  });
+  if (runner.scanMode === 'block') {
+    blocks.start();
+    runner.lastScannedBlock = null;
+    runner.offBlock = blocks.onBlock(() => runner.scheduler && runner.scheduler.poke());
+  }
+  // Resume the pass the previous session was in the middle of
+  runner.scheduler.seed(runner.pendingJobs.filter(job => parseJob(job).strategy));
+  runner.pendingJobs = [];
+  runner.scheduler.start();
 
-      log.info('tick', { msg: 'scanning pair', pair });
-      
-      const wallet = new ethers.Wallet(process.env.EVM_PRIVATE_KEY, getProvider());
-      const from = await wallet.getAddress();
+  for (const s of runner.strategies) {
+    if (s.kind === 'timer') startTimerStrategy(s);
+  }
 
-      await attemptOnce(cfg.EVM_CHAIN, chainId, pair, runner.baseUsd, from);
-      
-    } catch (e) {
-      const m = e.shortMessage || e.message || String(e);
-      runner.consecutiveErrors++;
-      
-      // Don't log every rate limit error
-      if (!m.includes('compute units') && !m.includes('rate limit')) {
-        log.error('error', { msg: m });
-      }
-      
-      // Adaptive backoff on errors
-      if (runner.consecutiveErrors % 10 === 0) {
-        console.log(`[bot] ⚠️  ${runner.consecutiveErrors} consecutive errors, implementing backoff...`);
-        await new Promise(r => setTimeout(r, Math.min(runner.consecutiveErrors * 1000, 10000)));
-      }
-    }
-    
-    // Adjust intervals based on recent performance
-    if (runner.idx % 10 === 0) {
-      adjustInterval();
-    }
-    
-  }, runner.intervalMs);
+  runner.stateTimer = setInterval(saveState, sessionState.saveEveryMs());
+  runner.stateTimer.unref();
 
   return { running: true };
 }
 
-function stop() {
-  if (runner.timer) {
-    clearInterval(runner.timer);
-    runner.timer = null;
+function halt() {
+  if (runner.stateTimer) {
+    clearInterval(runner.stateTimer);
+    runner.stateTimer = null;
+  }
+  if (runner.scheduler) {
+    runner.pendingJobs = runner.scheduler.queue.slice();
+    runner.scheduler.stop(); // no new launches; attempts already in flight keep going
   }
+  if (runner.offBlock) {
+    runner.offBlock();
+    runner.offBlock = null;
+  }
+  blocks.stop();
+  for (const t of runner.timers) clearInterval(t);
+  runner.timers = [];
   runner.running = false;
-  
-  const stats = getSessionStats();
-  console.log(`[bot] 🛑 Bot stopped after ${stats.runtime}`);
-  console.log(`[bot] 📊 Final stats: ${stats.trades} trades, ${stats.profit}, ${stats.successRate} success`);
-  
-  log.info('boot', { 
-    msg: 'Enhanced bot stopped',
-    ...stats
-  });
-  
-  return { running: false };
 }
 
-module.exports = { start, stop, isRunning, getSessionStats };
\ No newline at end of file
+// Wait for in-flight attempts (and with them their approvals and swaps) to finish
+async function drain(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const busy = () => (runner.scheduler ? runner.scheduler.inFlight.size : 0);
+  while (busy() > 0 && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return busy() === 0;
+}
+
+async function finalRebalance(timeoutMs) {
+  try {
+    const { rebalanceOnce } = require('./rebalancer');
+    return await Promise.race([
+      rebalanceOnce(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error(`rebalance timeout after ${timeoutMs}ms`)), timeoutMs))
+    ]);
+  } catch (e) {
+    console.log(`[bot] Final rebalance failed: ${e.message}`);
+    return { error: e.message };
+  }
+}
+
+/**
+ * Graceful stop: no new attempts, drain what's in flight for up to
+ * SHUTDOWN_DRAIN_MS, log the final state of any tx still pending, save the
+ * session, then optionally sweep leftovers with one rebalanceOnce().
+ */
+function stop(opts = {}) {
+  if (runner.stopping) return runner.stopping;
+  if (!runner.running && !runner.scheduler) return Promise.resolve({ running: false });
+
+  const timeoutMs = opts.timeoutMs ?? parseInt(process.env.SHUTDOWN_DRAIN_MS || '60000', 10);
+  const rebalance = opts.rebalance ?? /^(true|1|yes)$/i.test(process.env.SHUTDOWN_REBALANCE || 'false');
+
+  runner.stopping = (async () => {
+    const inFlight = runner.scheduler ? runner.scheduler.inFlight.size : 0;
+    console.log(`[bot] 🛑 Stopping: no new attempts, draining ${inFlight} in flight (up to ${timeoutMs}ms)...`);
+    halt();
+
+    const drained = await drain(timeoutMs);
+    if (!drained) console.log('[bot] ⚠️  Drain timed out, recording unfinished transactions');
+    const pendingTx = await txTracker.finalize(getProvider(), drained ? 'shutdown' : 'shutdown timeout');
+
+    runner.scheduler = null;
+    saveState();
+
+    let rebalanced = null;
+    if (rebalance) {
+      console.log('[bot] 🔄 Final rebalance...');
+      rebalanced = await finalRebalance(timeoutMs);
+    }
+
+    const stats = getSessionStats();
+    console.log(`[bot] 🛑 Bot stopped after ${stats.runtime}`);
+    console.log(`[bot] 📊 Final stats: ${stats.trades} trades, ${stats.profit}, ${stats.successRate} success`);
+
+    log.info('boot', {
+      msg: 'Enhanced bot stopped',
+      drained,
+      pendingTx: pendingTx.length,
+      ...stats
+    });
+
+    return { running: false, drained, pendingTx, rebalanced };
+  })().finally(() => { runner.stopping = null; });
+
+  return runner.stopping;
+}
+
+module.exports = { start, stop, isRunning, getSessionStats, loadPairs, saveState, freshSession };
@@ -0,0 +1,135 @@
+// src/js/chains.js - per-chain addresses and timing
+// EVM_CHAIN (name) or EVM_CHAIN_ID picks the active entry; any address env var
+// (WETH_ADDRESS, UNI_V3_FACTORY, BASESWAP_ROUTER, ...) still overrides it.
+//
+// Venue slots keep the names the executors use: `baseswap` is the UniV2-style
+// router/factory and `aerodrome` the Solidly-style one. A chain without a venue
+// leaves it null and that venue is skipped.
+
+const CHAINS = {
+  base: {
+    name: 'base',
+    chainId: 8453,
+    blockTimeMs: 2000,
+    rpcUrl: 'https://mainnet.base.org',
+    // OP-stack chains also charge an L1 data fee (GasPriceOracle predeploy)
+    opStack: true,
+    tokens: {
+      WETH: '0x4200000000000000000000000000000000000006',
+      USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      USDBC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
+      AXLUSDC: '0xEB466342C4d449BC9f53A865D5Cb90586f405215'
+    },
+    // Stables priced at $1 by sizing/profitGuard; also the fixed 6-decimal overrides
+    stables: ['USDC', 'USDBC', 'AXLUSDC'],
+    univ3: {
+      factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+      router: '0x2626664c2603336E57B271c5C0b26F421741e481'
+    },
+    baseswap: {
+      label: 'BaseSwap',
+      factory: '0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB',
+      router: '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86'
+    },
+    aerodrome: {
+      label: 'Aerodrome',
+      factory: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
+      router: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43'
+    },
+    chainlink: { ETH_USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70' }
+  },
+
+  optimism: {
+    name: 'optimism',
+    chainId: 10,
+    blockTimeMs: 2000,
+    rpcUrl: 'https://mainnet.optimism.io',
+    opStack: true,
+    tokens: {
+      WETH: '0x4200000000000000000000000000000000000006',
+      USDC: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85',
+      USDCE: '0x7F5c764cBc14f9669B88837ca1490cCa17c31607',
+      USDT: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58'
+    },
+    stables: ['USDC', 'USDCE', 'USDT'],
+    univ3: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+    },
+    baseswap: null,
+    aerodrome: {
+      label: 'Velodrome',
+      factory: '0xF1046053aa5682b4F9a81b5481394DA16BE5FF5a',
+      router: '0xa062aE8A9c5e11aaA026fc2670B0D65cCc8B2858'
+    },
+    chainlink: { ETH_USD: '0x13e3Ee699D1909E989722E753853AE30b17e08c5' }
+  },
+
+  arbitrum: {
+    name: 'arbitrum',
+    chainId: 42161,
+    blockTimeMs: 250,
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    opStack: false,
+    tokens: {
+      WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+      USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+      USDCE: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8',
+      USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9'
+    },
+    stables: ['USDC', 'USDCE', 'USDT'],
+    univ3: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+    },
+    baseswap: {
+      label: 'SushiSwap',
+      factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+      router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+    },
+    aerodrome: null,
+    chainlink: { ETH_USD: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612' }
+  }
+};
+
+const ALIASES = { op: 'optimism', arb: 'arbitrum', arbitrum_one: 'arbitrum', base_mainnet: 'base' };
+
+/** Registry entry by name, alias or chain id; null when unknown. */
+function getChain(key) {
+  if (key === undefined || key === null || key === '') return null;
+  const n = Number(key);
+  if (Number.isFinite(n)) return Object.values(CHAINS).find(c => c.chainId === n) || null;
+  const name = String(key).trim().toLowerCase();
+  return CHAINS[ALIASES[name] || name] || null;
+}
+
+/** The chain this process trades: EVM_CHAIN, then EVM_CHAIN_ID, then Base. */
+function activeChain() {
+  const byName = getChain(process.env.EVM_CHAIN);
+  if (byName) return byName;
+  if (process.env.EVM_CHAIN) console.warn(`[chains] Unknown EVM_CHAIN "${process.env.EVM_CHAIN}", trying EVM_CHAIN_ID`);
+  return getChain(process.env.EVM_CHAIN_ID) || CHAINS.base;
+}
+
+function listChains() {
+  return Object.values(CHAINS).map(c => ({ name: c.name, chainId: c.chainId }));
+}
+
+/** Lowercased stablecoin addresses for a chain (defaults to the active one). */
+function stableAddresses(chain = activeChain()) {
+  return chain.stables.map(s => chain.tokens[s]).filter(Boolean).map(a => a.toLowerCase());
+}
+
+/** { lowercased address: { decimals, symbol } } for the chain's well-known tokens. */
+function knownTokens(chain = activeChain()) {
+  const out = {};
+  for (const [symbol, address] of Object.entries(chain.tokens)) {
+    out[address.toLowerCase()] = { decimals: chain.stables.includes(symbol) ? 6 : 18, symbol };
+  }
+  return out;
+}
+
+module.exports = { CHAINS, getChain, activeChain, listChains, stableAddresses, knownTokens };
@@ -0,0 +1,213 @@
+// src/js/cycleFinder.js - Triangular / multi-hop cycle search over the pair graph
+// Builds a token graph from the pair list, prices every edge that can sit on a
+// 3..N hop cycle through an anchor (WETH/USDC), then runs a hop-limited
+// Bellman-Ford on -ln(rate) weights: any closed walk with negative total
+// weight returns more of the anchor than it started with.
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+const { getAllQuotes } = require('./robustQuoter');
+const { amountForUsdToken } = require('./sizing');
+const { resolveToken } = require('./tokenResolver');
+const { getProvider } = require('./robustProvider');
+
+const MIN_HOPS = 3;
+const MAX_HOPS = Math.min(Math.max(parseInt(process.env.CYCLE_MAX_HOPS || '4', 10), MIN_HOPS), 6);
+const MAX_CANDIDATES = parseInt(process.env.CYCLE_MAX_CANDIDATES || '200', 10);
+const EDGE_TTL_MS = parseInt(process.env.CYCLE_EDGE_TTL_SEC || '30', 10) * 1000;
+
+function lower(a) { return String(a || '').toLowerCase(); }
+
+function anchorTokens() {
+  const list = String(process.env.CYCLE_ANCHORS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const raw = list.length ? list : [cfg.WETH_ADDRESS, cfg.USDC_ADDRESS];
+  const out = [];
+  for (const t of raw) {
+    try { out.push(lower(resolveToken(t))); } catch (e) { console.log(`[cycles] bad anchor ${t}: ${e.message}`); }
+  }
+  return out;
+}
+
+/**
+ * Undirected token graph from "A/B" pair labels (symbols or addresses).
+ * @param {string[]} pairs
+ * @returns {{ adj: Map<string, Set<string>>, skipped: number }}
+ */
+function buildGraph(pairs) {
+  const adj = new Map();
+  let skipped = 0;
+  const link = (a, b) => {
+    if (!adj.has(a)) adj.set(a, new Set());
+    adj.get(a).add(b);
+  };
+  for (const label of pairs) {
+    const [x, y] = String(label).split('/').map(s => s.trim());
+    try {
+      const a = lower(resolveToken(x));
+      const b = lower(resolveToken(y));
+      if (a === b) continue;
+      link(a, b);
+      link(b, a);
+    } catch {
+      skipped++;
+    }
+  }
+  return { adj, skipped };
+}
+
+/**
+ * Enumerate simple cycles anchor -> ... -> anchor of MIN_HOPS..maxHops hops
+ * (structure only, no pricing). Bounded by MAX_CANDIDATES.
+ */
+function enumerateCycles(adj, anchor, maxHops = MAX_HOPS) {
+  const cycles = [];
+  const path = [anchor];
+  const onPath = new Set([anchor]);
+
+  function dfs(node) {
+    if (cycles.length >= MAX_CANDIDATES) return;
+    for (const next of adj.get(node) || []) {
+      if (next === anchor && path.length >= MIN_HOPS) {
+        cycles.push([...path, anchor]);
+        continue;
+      }
+      if (onPath.has(next) || path.length >= maxHops) continue;
+      path.push(next);
+      onPath.add(next);
+      dfs(next);
+      onPath.delete(next);
+      path.pop();
+    }
+  }
+
+  dfs(anchor);
+  return cycles;
+}
+
+// ---- edge pricing (probe-size quotes, cached) ----
+const edgeCache = new Map(); // "a>b" -> { ts, edge }
+
+async function priceEdge(from, to, probeUsd) {
+  const key = `${from}>${to}`;
+  const hit = edgeCache.get(key);
+  if (hit && Date.now() - hit.ts < EDGE_TTL_MS) return hit.edge;
+
+  let edge = null;
+  try {
+    const amountIn = await amountForUsdToken(getProvider(), from, probeUsd);
+    const quotes = await getAllQuotes(ethers.getAddress(from), ethers.getAddress(to), amountIn);
+    let best = null;
+    for (const q of quotes) {
+      const out = BigInt(q.buyAmount || 0);
+      if (out > 0n && (!best || out > BigInt(best.buyAmount))) best = q;
+    }
+    if (best) {
+      const rate = Number(BigInt(best.buyAmount)) / Number(amountIn);
+      if (Number.isFinite(rate) && rate > 0) {
+        edge = { from, to, router: best.router, rate, weight: -Math.log(rate) };
+      }
+    }
+  } catch (e) {
+    console.log(`[cycles] edge ${key} unpriceable: ${e.message}`);
+  }
+  edgeCache.set(key, { ts: Date.now(), edge });
+  return edge;
+}
+
+/**
+ * Hop-limited Bellman-Ford from `anchor`. Relaxations never re-enter a node
+ * already on the walk, so every result is a simple cycle.
+ * @param {string} anchor
+ * @param {Array<{from:string,to:string,weight:number}>} edges
+ * @param {number} maxHops
+ * @returns {Array<{ path: string[], routers: string[], weight: number }>} negative cycles, best first
+ */
+function negativeCycles(anchor, edges, maxHops = MAX_HOPS) {
+  // layer[v] = best { weight, path, routers } reaching v in exactly k hops
+  let layer = new Map([[anchor, { weight: 0, path: [anchor], routers: [] }]]);
+  const found = [];
+
+  for (let k = 1; k <= maxHops; k++) {
+    const next = new Map();
+    for (const e of edges) {
+      const cur = layer.get(e.from);
+      if (!cur) continue;
+      if (e.to === anchor) {
+        if (k >= MIN_HOPS && cur.weight + e.weight < 0) {
+          found.push({ path: [...cur.path, anchor], routers: [...cur.routers, e.router], weight: cur.weight + e.weight });
+        }
+        continue;
+      }
+      if (cur.path.includes(e.to)) continue;
+      const w = cur.weight + e.weight;
+      const prev = next.get(e.to);
+      if (!prev || w < prev.weight) {
+        next.set(e.to, { weight: w, path: [...cur.path, e.to], routers: [...cur.routers, e.router] });
+      }
+    }
+    layer = next;
+  }
+
+  found.sort((a, b) => a.weight - b.weight);
+  return found;
+}
+
+/**
+ * Full scan: graph -> candidate cycles through each anchor -> price their
+ * edges -> Bellman-Ford. Returns profitable (pre-gas) cycles, best first.
+ * @param {string[]} pairs
+ * @param {Object} [opts]
+ * @param {number} [opts.probeUsd]
+ */
+async function findCycles(pairs, opts = {}) {
+  const probeUsd = Number(opts.probeUsd || process.env.CYCLE_PROBE_USD || process.env.BASE_TRADE_USD || '15');
+  const { adj, skipped } = buildGraph(pairs);
+  if (skipped) console.log(`[cycles] ${skipped} pairs skipped (unresolvable tokens)`);
+
+  const results = [];
+  for (const anchor of anchorTokens()) {
+    if (!adj.has(anchor)) continue;
+    const cycles = enumerateCycles(adj, anchor);
+    if (!cycles.length) continue;
+
+    const keys = new Set();
+    for (const c of cycles) {
+      for (let i = 0; i < c.length - 1; i++) keys.add(`${c[i]}>${c[i + 1]}`);
+    }
+    console.log(`[cycles] anchor ${anchor}: ${cycles.length} candidate cycles, ${keys.size} edges to price`);
+
+    const edges = [];
+    for (const key of keys) {
+      const [from, to] = key.split('>');
+      const edge = await priceEdge(from, to, probeUsd);
+      if (edge) edges.push(edge);
+    }
+
+    for (const c of negativeCycles(anchor, edges)) {
+      results.push({ anchor, ...c, grossRate: Math.exp(-c.weight) });
+    }
+  }
+
+  results.sort((a, b) => a.weight - b.weight);
+  return results;
+}
+
+/**
+ * Walk a cycle with a real size: re-quote each hop with the previous hop's
+ * output on the router that priced the edge. Returns the per-hop quotes.
+ * @param {{ path: string[], routers: string[] }} cycle
+ * @param {bigint} amountIn - raw amount of the anchor token
+ */
+async function quoteCycle(cycle, amountIn) {
+  const legs = [];
+  let amt = BigInt(amountIn);
+  for (let i = 0; i < cycle.path.length - 1; i++) {
+    const quotes = await getAllQuotes(ethers.getAddress(cycle.path[i]), ethers.getAddress(cycle.path[i + 1]), amt);
+    const q = quotes.find(x => x.router === cycle.routers[i]) || quotes[0];
+    if (!q || BigInt(q.buyAmount || 0) === 0n) return null;
+    legs.push(q);
+    amt = BigInt(q.buyAmount);
+  }
+  return { legs, amountIn: BigInt(amountIn), amountOut: amt };
+}
+
+module.exports = { buildGraph, enumerateCycles, negativeCycles, findCycles, quoteCycle, anchorTokens };
@@ -1,6 +1,13 @@
 // dashboardServer.js — preserves your HTML; injects tiny Start/Stop helpers
 const fs = require('fs'); const path = require('path'); const http = require('http'); const WebSocket = require('ws');
-const { attachWsServer, getStats, getBuffer } = require('./logger');
+const log = require('./logger');
+const { attachWsServer, getStats, getBuffer } = log;
+const pnlStore = require('./pnlStore');
+const wsBus = require('./wsBus');
+const pairHealth = require('./pairHealth');
+const risk = require('./riskSupervisor');
+const approvals = require('./approvals');
+const walletPool = require('./walletPool');
 const { parseCookies, loadUsersFromEnv, signSession, verifySession } = require('./auth');
 const worker = require('./chainWorker');
 const PORT = parseInt(process.env.DASHBOARD_PORT || '8787', 10); const HOST = process.env.DASHBOARD_HOST || '0.0.0.0'; const SECRET = process.env.DASHBOARD_SECRET || 'change-me';
@@ -25,6 +32,12 @@ window.SWAT = {
 })();
 </script>`;
 
+// Trades and PnL updates go out over the same socket as the log stream
+wsBus.on('trade', (tr) => log.info('trade', { ...tr, msg: `${tr.mode && tr.mode !== 'live' ? `${tr.mode} ` : ''}trade booked: ${tr.netUsd}` }));
+wsBus.on('pnl', (p) => log.info('pnl', { pnl: p }));
+
+function pnlTargets(){ const bankroll=Number(process.env.BANKROLL_USD||'0'); const dailyPct=Number(process.env.DAILY_TARGET_PCT||'0'); const perDay=bankroll*dailyPct/100; return { bankroll, dailyPct, perHour: perDay/24, perDay, perWeek: perDay*7, perMonth: perDay*30 }; }
+
 function injectHelpers(html){ if (/<\/body>/i.test(html)) return html.replace(/<\/body>/i, helperJs + '</body>'); return html + helperJs; }
 
 function parseBody(req){ return new Promise((resolve)=>{ let d=''; req.on('data',c=>d+=c); req.on('end',()=>resolve(d)); }); }
@@ -32,6 +45,7 @@ function setSecurityHeaders(res){ res.setHeader('Referrer-Policy','no-referrer')
 function sendHtml(res, html){ setSecurityHeaders(res); res.writeHead(200, {'Content-Type':'text/html'}); res.end(html); }
 function sendJson(res, obj){ setSecurityHeaders(res); res.writeHead(200, {'Content-Type':'application/json'}); res.end(JSON.stringify(obj)); }
 function isAuthed(req){ const cookies = parseCookies(req.headers.cookie || ''); const token = cookies['dash_auth']; const payload = verifySession(token, SECRET); return !!payload; }
+function sessionUser(req){ const cookies = parseCookies(req.headers.cookie || ''); const payload = verifySession(cookies['dash_auth'], SECRET); return (payload && payload.u) || 'operator'; }
 
 const handler = async (req, res) => {
   try {
@@ -53,10 +67,32 @@ const handler = async (req, res) => {
 
     if (!isAuthed(req)) { res.writeHead(401); return res.end('Unauthorized'); }
 
-    if (req.method==='GET' && req.url==='/api/status'){ return sendJson(res, { running: worker.isRunning(), stats: getStats() }); }
+    if (req.method==='GET' && req.url==='/api/status'){ return sendJson(res, { running: worker.isRunning(), stats: getStats(), session: worker.getSessionStats() }); }
     if (req.method==='POST' && req.url==='/api/start'){ return sendJson(res, worker.start()); }
-    if (req.method==='POST' && req.url==='/api/stop'){ return sendJson(res, worker.stop()); }
+    if (req.method==='POST' && req.url==='/api/stop'){ return sendJson(res, await worker.stop()); }
+    if (req.method==='POST' && req.url==='/api/session/fresh'){ return sendJson(res, worker.freshSession()); }
     if (req.method==='GET' && req.url==='/api/metrics'){ return sendJson(res, getStats()); }
+    if (req.method==='GET' && req.url==='/api/pnl'){ return sendJson(res, { pnl: pnlStore.getWindows('live'), paper: pnlStore.getWindows('paper'), totals: pnlStore.getTotals(), targets: pnlTargets() }); }
+
+    if (req.method==='GET' && req.url==='/api/risk'){ return sendJson(res, risk.status()); }
+    if (req.method==='POST' && req.url==='/api/risk/reset'){ return sendJson(res, risk.reset(sessionUser(req))); }
+
+    if (req.method==='GET' && req.url==='/api/pairs/health'){ return sendJson(res, pairHealth.snapshot()); }
+    if (req.method==='POST' && req.url.startsWith('/api/pairs/clear')){ const u = new URL(req.url, 'http://x'); return sendJson(res, pairHealth.clear(u.searchParams.get('pair') || undefined)); }
+
+    if (req.method==='GET' && req.url==='/api/approvals'){
+      const wallets = [];
+      for (const w of walletPool.addresses()) wallets.push({ wallet: w, approvals: await approvals.list(w) });
+      return sendJson(res, { spenders: approvals.spenders(), wallets });
+    }
+    if (req.method==='POST' && req.url.startsWith('/api/approvals/revoke')){
+      const u = new URL(req.url, 'http://x'); const q = (k)=> u.searchParams.get(k) || undefined;
+      const targets = walletPool.addresses().filter(w => !q('wallet') || w.toLowerCase() === q('wallet').toLowerCase());
+      const revoked = [];
+      for (const w of targets) revoked.push(...(await approvals.revokeAll(walletPool.signer(w), { token: q('token'), spender: q('spender') })).map(r => ({ wallet: w, ...r })));
+      log.info('approvals_revoked', { by: sessionUser(req), count: revoked.filter(r => r.revoked).length, msg: `revoked ${revoked.filter(r => r.revoked).length}/${revoked.length} approval(s)` });
+      return sendJson(res, { revoked });
+    }
 
     if (req.method==='GET' && req.url.startsWith('/api/logs')){
       const u = new URL(req.url, 'http://x'); const limit = Math.max(1, Math.min(1000, parseInt(u.searchParams.get('limit')||'200',10)));
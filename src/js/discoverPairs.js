@@ -3,12 +3,13 @@
 // 1) Primary: factory index (allPairsLength/allPairs)
 // 2) Fallback: PairCreated logs, auto-chunked to ≤ provider limits
 const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
-const RPC_URL   = process.env.EVM_RPC_URL;
-const FACTORY   = (process.env.BASESWAP_FACTORY || '0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB').toLowerCase();
-const WETH      = (process.env.WETH_ADDRESS || '0x4200000000000000000000000000000000000006').toLowerCase();
-const USDC      = (process.env.USDC_ADDRESS || '0x833589fcd6edb6e08f4c7c32d4f71b54bdA02913').toLowerCase();
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
+const RPC_URL   = cfg.EVM_RPC_URL;
+const FACTORY   = cfg.BASESWAP_FACTORY.toLowerCase();
+const WETH      = cfg.WETH_ADDRESS.toLowerCase();
+const USDC      = cfg.USDC_ADDRESS.toLowerCase();
 
 const V2_FACTORY_ABI = [
   'function allPairsLength() view returns (uint256)',
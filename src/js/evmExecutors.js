@@ -1,17 +1,107 @@
-// src/js/evmExecutors.js - UPDATED to support BaseSwap
+// src/js/evmExecutors.js - UPDATED to support BaseSwap and Aerodrome
 const { ethers } = require('ethers');
 const cfg = require('./multichainConfig');
-const { execBaseSwap } = require('./baseSwapRouters');
+const { execBaseSwap, BASESWAP_ROUTER } = require('./baseSwapRouters');
+const { execAerodrome, AERODROME_ROUTER } = require('./aerodromeRouters');
+const { execAtomic, simulateLoop } = require('./atomicExecutor');
+const { isStale, currentBlock } = require('./blockWatcher');
+const walletPool = require('./walletPool');
 
 function provider(){ return new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, cfg.EVM_CHAIN_ID); }
-function wallet(){ return new ethers.Wallet(cfg.EVM_PRIVATE_KEY, provider()); }
 
-async function execByRouter(chainId, routerName, normQuote, pair, estNetUsd) {
+const EXECUTORS = {
+  baseswap: execBaseSwap,
+  aerodrome: execAerodrome,
+  atomic: execAtomic // normQuote.legs, every leg in one ArbExecutor tx
+};
+
+// V2-style routers we can eth_call swapExactTokensForTokens on for paper fills
+const SIM_ROUTERS = {
+  baseswap: BASESWAP_ROUTER,
+  aerodrome: AERODROME_ROUTER
+};
+
+const SWAP_ABI = [
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external returns (uint256[] memory amounts)'
+];
+
+function isDryRun() {
+  return /^(true|1|yes)$/i.test(process.env.DRY_RUN || 'false');
+}
+
+// Paper mode trials the same routers live mode can execute, so the two compare
+function canExecute(routerName) {
+  return typeof EXECUTORS[routerName] === 'function';
+}
+
+// What an eth_call says the swap returns: the router's own swap, or a whole
+// atomic loop through ArbExecutor.execute; null when there is nothing to call
+async function simulatedOut(routerName, normQuote, amountIn, from) {
+  if (routerName === 'atomic') return simulateLoop(normQuote, from, provider());
+  const routerAddr = SIM_ROUTERS[routerName];
+  if (!routerAddr) return null;
+  const router = new ethers.Contract(routerAddr, SWAP_ABI, provider());
+  const path = normQuote.path || [normQuote.sellToken, normQuote.buyToken];
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + parseInt(process.env.TX_DEADLINE_SEC || '300', 10));
+  const amounts = await router.swapExactTokensForTokens.staticCall(amountIn, 0n, path, from, deadline, { from });
+  return BigInt(amounts[amounts.length - 1]);
+}
+
+/**
+ * Paper execution: eth_call the exact swap (or atomic loop) from our wallet
+ * when the router supports it, otherwise take the quoted fill (`fill: 'quote'`,
+ * booked apart from the paper totals since it has no slippage). Never broadcasts.
+ */
+async function paperExec(routerName, normQuote, pair, from) {
+  const amountIn = BigInt(normQuote.sellAmount);
+  let buyAmount = BigInt(normQuote.buyAmount);
+  let fill = 'quote';
+
+  try {
+    const out = await simulatedOut(routerName, normQuote, amountIn, from || walletPool.primary());
+    if (out !== null) {
+      buyAmount = out;
+      fill = 'eth_call';
+    }
+  } catch (e) {
+    console.log(`[paper] eth_call simulation unavailable (${e.shortMessage || e.reason || e.message}), using quoted fill`);
+  }
+
+  const txHash = `paper-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  console.log(`[paper] 📝 ${pair} via ${routerName}: ${amountIn} -> ${buyAmount} (${fill})`);
+  return {
+    success: true,
+    paper: true,
+    fill,
+    txHash,
+    gasUsed: '0',
+    sellAmount: amountIn.toString(),
+    buyAmount: buyAmount.toString()
+  };
+}
+
+/**
+ * Execute (or paper-trade) one normalized quote from pool wallet `from`
+ * (the primary wallet when omitted).
+ */
+async function execByRouter(chainId, routerName, normQuote, pair, estNetUsd, from) {
   console.log(`[exec] Executing trade via ${routerName} for ${pair}`);
   console.log(`[exec] Estimated profit: $${estNetUsd}`);
+
+  // A leg unwinding earlier fills (`unwind`) goes ahead on an old quote rather than strand them
+  if (!normQuote.unwind && isStale(normQuote)) {
+    console.log(`[exec] Stale quote from block ${normQuote.blockNumber} (head ${currentBlock()}), not executing`);
+    return {
+      success: false,
+      txHash: '',
+      stale: true,
+      error: `Stale quote: block ${normQuote.blockNumber} < head ${currentBlock()}`
+    };
+  }
   
-  if (routerName === 'baseswap') {
-    return await execBaseSwap(normQuote, pair, estNetUsd);
+  if (canExecute(routerName)) {
+    if (isDryRun()) return await paperExec(routerName, normQuote, pair, from);
+    return await EXECUTORS[routerName](normQuote, pair, estNetUsd, from);
   }
   
   console.log(`[exec] Unsupported router: ${routerName}`);
@@ -22,4 +112,4 @@ async function execByRouter(chainId, routerName, normQuote, pair, estNetUsd) {
   };
 }
 
-module.exports = { execByRouter };
\ No newline at end of file
+module.exports = { execByRouter, canExecute, isDryRun };
@@ -0,0 +1,134 @@
+// src/js/feeEngine.js - EIP-1559 fees from eth_feeHistory
+// The priority fee is a percentile of recent blocks' tips, chosen by urgency
+// (FEE_URGENCY = low | normal | high, or auto to pick one from the trade's
+// expected profit). maxFeePerGas leaves headroom for base-fee growth; what we
+// expect to pay per gas is next block's base fee plus the tip, and that is the
+// price profitGuard charges a trade for gas.
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+
+const URGENCIES = ['low', 'normal', 'high'];
+
+const cache = { at: 0, history: null, pending: null, warned: false };
+let defaultProvider = null;
+
+function num(key, def) {
+  const v = Number(process.env[key] || def);
+  return Number.isFinite(v) ? v : Number(def);
+}
+
+function settings() {
+  const pct = String(process.env.FEE_URGENCY_PERCENTILES || '10,50,90')
+    .split(',').map(s => Number(s.trim())).filter(n => Number.isFinite(n) && n >= 0 && n <= 100);
+  return {
+    urgency: String(process.env.FEE_URGENCY || 'normal').toLowerCase(),
+    percentiles: pct.length === 3 ? pct : [10, 50, 90],
+    blocks: Math.max(1, Math.min(1024, num('FEE_HISTORY_BLOCKS', '10'))),
+    baseMultiplier: Math.max(1, num('FEE_BASE_MULTIPLIER', '2')),
+    minPriority: BigInt(Math.max(0, Math.floor(num('FEE_MIN_PRIORITY_WEI', '1000000')))),
+    maxFee: process.env.FEE_MAX_FEE_WEI ? BigInt(process.env.FEE_MAX_FEE_WEI) : null,
+    autoLowUsd: num('FEE_AUTO_LOW_USD', '1'),
+    autoHighUsd: num('FEE_AUTO_HIGH_USD', '5'),
+    ttlMs: Math.max(250, Math.min(cfg.BLOCK_TIME_MS || 2000, 2000))
+  };
+}
+
+function provider() {
+  if (!defaultProvider) defaultProvider = new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, cfg.EVM_CHAIN_ID);
+  return defaultProvider;
+}
+
+/** Urgency level for a trade: FEE_URGENCY, or with `auto`, by expected profit in USD. */
+function urgencyFor(profitUsd, s = settings()) {
+  if (URGENCIES.includes(s.urgency)) return s.urgency;
+  if (s.urgency !== 'auto' || profitUsd === null || profitUsd === undefined || !Number.isFinite(Number(profitUsd))) return 'normal';
+  const p = Number(profitUsd);
+  if (p >= s.autoHighUsd) return 'high';
+  if (p < s.autoLowUsd) return 'low';
+  return 'normal';
+}
+
+function median(values) {
+  const v = values.slice().sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return v.length ? v[Math.floor(v.length / 2)] : 0n;
+}
+
+// Next block's base fee plus the median tip of the last few blocks at each percentile
+async function fetchHistory(pvd, s) {
+  const res = await pvd.send('eth_feeHistory', [ethers.toQuantity(s.blocks), 'latest', s.percentiles]);
+  const baseFees = (res && res.baseFeePerGas) || [];
+  if (!baseFees.length) throw new Error('eth_feeHistory returned no base fees');
+  const rewards = (res.reward || []).filter(r => Array.isArray(r) && r.length === s.percentiles.length);
+  const tips = s.percentiles.map((_, i) => median(rewards.map(r => BigInt(r[i]))));
+  return {
+    baseFee: BigInt(baseFees[baseFees.length - 1]),
+    tips: { low: tips[0], normal: tips[1], high: tips[2] },
+    oldestBlock: Number(res.oldestBlock)
+  };
+}
+
+async function history(pvd, s) {
+  if (cache.history && Date.now() - cache.at < s.ttlMs) return cache.history;
+  if (!cache.pending) {
+    cache.pending = fetchHistory(pvd, s)
+      .then(h => { cache.history = h; cache.at = Date.now(); return h; })
+      .finally(() => { cache.pending = null; });
+  }
+  return cache.pending;
+}
+
+// No eth_feeHistory on this node: FIXED_GAS_PRICE_WEI, else eth_gasPrice, as a legacy tx
+async function legacy(pvd, urgency) {
+  let gasPrice = null;
+  if (process.env.FIXED_GAS_PRICE_WEI) {
+    try { gasPrice = BigInt(process.env.FIXED_GAS_PRICE_WEI); } catch {}
+  }
+  if (gasPrice === null) {
+    try { gasPrice = BigInt(await pvd.send('eth_gasPrice', [])); } catch {}
+  }
+  if (gasPrice === null) gasPrice = BigInt(process.env.FALLBACK_GAS_PRICE || '1000000000');
+  return { type: 0, gasPrice, expectedGasPrice: gasPrice, urgency, source: 'legacy' };
+}
+
+/**
+ * Fees for a tx sent now. `profitUsd` only matters with FEE_URGENCY=auto;
+ * `urgency` forces a level. Resolves to
+ *   { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas, expectedGasPrice, urgency, source }
+ * or, when the node has no fee history, { type: 0, gasPrice, expectedGasPrice, ... }.
+ */
+async function quote({ provider: pvd = provider(), profitUsd, urgency } = {}) {
+  const s = settings();
+  const level = URGENCIES.includes(urgency) ? urgency : urgencyFor(profitUsd, s);
+  let h;
+  try { h = await history(pvd, s); }
+  catch (e) {
+    if (!cache.warned) console.log(`[fees] eth_feeHistory unavailable (${e.shortMessage || e.message}), using legacy gas price`);
+    cache.warned = true;
+    return legacy(pvd, level);
+  }
+
+  const tip = h.tips[level] > s.minPriority ? h.tips[level] : s.minPriority;
+  const headroom = (h.baseFee * BigInt(Math.round(s.baseMultiplier * 100))) / 100n;
+  let maxFeePerGas = headroom + tip;
+  if (s.maxFee !== null && maxFeePerGas > s.maxFee) maxFeePerGas = s.maxFee;
+  const maxPriorityFeePerGas = tip < maxFeePerGas ? tip : maxFeePerGas;
+  const expected = h.baseFee + maxPriorityFeePerGas;
+
+  return {
+    type: 2,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    baseFeePerGas: h.baseFee,
+    expectedGasPrice: expected < maxFeePerGas ? expected : maxFeePerGas,
+    urgency: level,
+    source: 'feeHistory'
+  };
+}
+
+/** Just the fields a transaction request needs from a quote(). */
+function txFields(q) {
+  if (q.type === 2) return { type: 2, maxFeePerGas: q.maxFeePerGas, maxPriorityFeePerGas: q.maxPriorityFeePerGas };
+  return { type: 0, gasPrice: q.gasPrice };
+}
+
+module.exports = { quote, txFields, urgencyFor };
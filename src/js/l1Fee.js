@@ -0,0 +1,127 @@
+// src/js/l1Fee.js - the L1 data fee OP-stack chains add to every tx
+// On Base/Optimism a tx pays L2 execution gas plus a fee for posting its bytes
+// to L1, which the GasPriceOracle predeploy prices from the serialized tx.
+// estimate() prices the swap calldata we are about to send; receiptFees() reads
+// both parts back from a mined receipt (the node reports l1Fee on OP stack).
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+
+const ORACLE_ABI = ['function getL1Fee(bytes _data) view returns (uint256)'];
+
+const V2_SWAP = new ethers.Interface([
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+const V3_SWAP = new ethers.Interface([
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)'
+]);
+
+// The fee depends on the tx's size far more than on its bytes, so estimates are
+// cached per serialized length for roughly one L1 block
+const cache = new Map(); // length -> { at, wei }
+const CACHE_MS = Number(process.env.L1_FEE_CACHE_MS || '12000');
+
+function enabled() {
+  return !!cfg.GAS_PRICE_ORACLE && String(process.env.L1_FEE_ENABLED || 'true') !== 'false';
+}
+
+function routerAddress(router) {
+  switch (String(router || '').toLowerCase()) {
+    case 'univ3': return cfg.UNI_V3_ROUTER;
+    case 'aerodrome': return cfg.AERODROME_ROUTER;
+    case 'univ2': return cfg.UNI_V2_ROUTER || cfg.BASESWAP_ROUTER;
+    default: return cfg.BASESWAP_ROUTER;
+  }
+}
+
+/**
+ * The swap tx an executor would send for `quote` ({ router, sellToken, buyToken,
+ * sellAmount, buyAmount, path?, fee? }), as { to, data }.
+ */
+function swapRequest(quote, recipient = ethers.ZeroAddress) {
+  const router = String(quote.router || '').toLowerCase();
+  const amountIn = BigInt(quote.sellAmount);
+  const minOut = BigInt(quote.buyAmount);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + parseInt(process.env.TX_DEADLINE_SEC || '300', 10));
+  const to = routerAddress(router) || ethers.ZeroAddress;
+  if (router === 'univ3') {
+    return {
+      to,
+      data: V3_SWAP.encodeFunctionData('exactInputSingle', [[
+        quote.sellToken, quote.buyToken, Number(quote.fee || cfg.UNI_V3_POOL_FEE), recipient, amountIn, minOut, 0n
+      ]])
+    };
+  }
+  const path = quote.path || [quote.sellToken, quote.buyToken];
+  return { to, data: V2_SWAP.encodeFunctionData('swapExactTokensForTokens', [amountIn, minOut, path, recipient, deadline]) };
+}
+
+// Unsigned type-2 serialization, which is what getL1Fee expects
+function serialize(request, fees, gasLimit) {
+  return ethers.Transaction.from({
+    type: 2,
+    chainId: cfg.EVM_CHAIN_ID,
+    nonce: 0,
+    to: request.to,
+    data: request.data,
+    value: 0n,
+    gasLimit: BigInt(gasLimit || 300000),
+    maxFeePerGas: (fees && (fees.maxFeePerGas ?? fees.gasPrice)) || 1n,
+    maxPriorityFeePerGas: (fees && (fees.maxPriorityFeePerGas ?? fees.gasPrice)) || 1n
+  }).unsignedSerialized;
+}
+
+/**
+ * L1 data fee in wei for sending `requests` ([{ to, data }]); 0n on chains
+ * without one, or when the oracle can't be reached.
+ */
+async function estimate(provider, requests, { fees, gasLimit } = {}) {
+  if (!enabled()) return 0n;
+  const oracle = new ethers.Contract(cfg.GAS_PRICE_ORACLE, ORACLE_ABI, provider);
+  let total = 0n;
+  for (const req of requests) {
+    const raw = serialize(req, fees, gasLimit);
+    const hit = cache.get(raw.length);
+    if (hit && Date.now() - hit.at < CACHE_MS) { total += hit.wei; continue; }
+    try {
+      const wei = BigInt(await oracle.getL1Fee(raw));
+      cache.set(raw.length, { at: Date.now(), wei });
+      total += wei;
+    } catch (e) {
+      console.log(`[l1fee] getL1Fee failed: ${e.shortMessage || e.message}`);
+    }
+  }
+  return total;
+}
+
+/**
+ * What a mined tx actually paid: { l2FeeWei, l1FeeWei } as decimal strings.
+ * l1Fee isn't part of ethers' receipt, so it is read from the raw RPC receipt.
+ */
+async function receiptFees(provider, receipt) {
+  const price = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  const l2FeeWei = BigInt(receipt.gasUsed) * BigInt(price);
+  let l1FeeWei = 0n;
+  if (enabled()) {
+    try {
+      const raw = await provider.send('eth_getTransactionReceipt', [receipt.hash]);
+      if (raw && raw.l1Fee) l1FeeWei = BigInt(raw.l1Fee);
+    } catch (e) {
+      console.log(`[l1fee] receipt lookup for ${receipt.hash} failed: ${e.shortMessage || e.message}`);
+    }
+  }
+  return { l2FeeWei: l2FeeWei.toString(), l1FeeWei: l1FeeWei.toString() };
+}
+
+/** Add up the receipt fees of several executor results (legs of one trade). */
+function sumFees(results) {
+  let l2 = 0n, l1 = 0n, any = false;
+  for (const r of results) {
+    if (!r || r.l2FeeWei === undefined) continue;
+    any = true;
+    l2 += BigInt(r.l2FeeWei);
+    l1 += BigInt(r.l1FeeWei || 0);
+  }
+  return any ? { l2FeeWei: l2.toString(), l1FeeWei: l1.toString() } : {};
+}
+
+module.exports = { estimate, swapRequest, receiptFees, sumFees };
@@ -1,18 +1,36 @@
 // multichainConfig.js
+// Defaults come from the chain registry (chains.js); env vars override them.
+const { activeChain } = require('./chains');
+
+const CHAIN = activeChain();
+const venue = (slot, key) => (CHAIN[slot] && CHAIN[slot][key]) || '';
+if (process.env.EVM_CHAIN_ID && Number(process.env.EVM_CHAIN_ID) !== CHAIN.chainId) {
+  console.warn(`[config] EVM_CHAIN_ID=${process.env.EVM_CHAIN_ID} doesn't match ${CHAIN.name} (${CHAIN.chainId}); using ${CHAIN.chainId}`);
+}
+
 module.exports = {
+  CHAIN,
   USE_EVM: String(process.env.USE_EVM || 'true') === 'true',
-  EVM_CHAIN: process.env.EVM_CHAIN || 'base',
-  EVM_CHAIN_ID: parseInt(process.env.EVM_CHAIN_ID || '8453', 10),
-  EVM_RPC_URL: process.env.EVM_RPC_URL || 'https://mainnet.base.org',
+  EVM_CHAIN: CHAIN.name,
+  EVM_CHAIN_ID: CHAIN.chainId,
+  EVM_RPC_URL: process.env.EVM_RPC_URL || CHAIN.rpcUrl,
   EVM_PRIVATE_KEY: process.env.EVM_PRIVATE_KEY || '',
-  UNI_V3_FACTORY: process.env.UNI_V3_FACTORY || '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
-  UNI_V3_QUOTER: process.env.UNI_V3_QUOTER || '',
-  UNI_V3_ROUTER: process.env.UNI_V3_ROUTER || '',
+  BLOCK_TIME_MS: parseInt(process.env.BLOCK_TIME_MS || String(CHAIN.blockTimeMs), 10),
+  UNI_V3_FACTORY: process.env.UNI_V3_FACTORY || venue('univ3', 'factory'),
+  UNI_V3_QUOTER: process.env.UNI_V3_QUOTER || venue('univ3', 'quoter'),
+  UNI_V3_ROUTER: process.env.UNI_V3_ROUTER || venue('univ3', 'router'),
   UNI_V3_POOL_FEE: parseInt(process.env.UNI_V3_POOL_FEE || '500', 10),
   UNI_V3_FEE_LIST: (process.env.UNI_V3_FEE_LIST || '500,3000,10000'),
   UNI_V2_ROUTER: process.env.UNI_V2_ROUTER || '',
   UNI_V2_PATH: (process.env.UNI_V2_PATH || '').split(',').map(s=>s.trim()).filter(Boolean),
-  WETH_ADDRESS: process.env.WETH_ADDRESS || '0x4200000000000000000000000000000000000006',
-  USDC_ADDRESS: process.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  BASESWAP_ROUTER: process.env.BASESWAP_ROUTER || venue('baseswap', 'router'),
+  BASESWAP_FACTORY: process.env.BASESWAP_FACTORY || venue('baseswap', 'factory'),
+  AERODROME_ROUTER: process.env.AERODROME_ROUTER || venue('aerodrome', 'router'),
+  AERODROME_FACTORY: process.env.AERODROME_FACTORY || venue('aerodrome', 'factory'),
+  GAS_PRICE_ORACLE: process.env.GAS_PRICE_ORACLE || (CHAIN.opStack ? '0x420000000000000000000000000000000000000F' : ''),
+  CHAINLINK_ETH_USD_FEED: process.env.CHAINLINK_ETH_USD_FEED || (CHAIN.chainlink && CHAIN.chainlink.ETH_USD) || '',
+  WETH_ADDRESS: process.env.WETH_ADDRESS || CHAIN.tokens.WETH,
+  USDC_ADDRESS: process.env.USDC_ADDRESS || CHAIN.tokens.USDC,
+  USDBC_ADDRESS: process.env.USDBC_ADDRESS || CHAIN.tokens.USDBC || CHAIN.tokens.USDCE || '',
   ONCHAIN_ROUTERS: (process.env.ONCHAIN_ROUTERS || 'univ3')
-};
\ No newline at end of file
+};
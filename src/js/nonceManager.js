@@ -0,0 +1,206 @@
+// src/js/nonceManager.js — local nonces per wallet, and what to do about stuck txs
+// Nonces are handed out locally (seeded from the node's pending count) so
+// concurrent sends from one wallet never collide. Every broadcast is tracked by
+// nonce; waitForTx() waits up to a timeout and then, per TX_STUCK_POLICY,
+// re-sends the same tx with higher fees (speedup), or replaces it with a
+// zero-value self-transfer (cancel). A tx is only reported failed once the
+// nonce is settled one way or the other; otherwise it is reported pending.
+// Sends that carry a txJournal id in meta.journal are signed first and their
+// hash journaled before the broadcast, replacements included.
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+const txTracker = require('./txTracker');
+const feeEngine = require('./feeEngine');
+const log = require('./logger');
+const txJournal = require('./txJournal');
+
+const wallets = new Map(); // address(lower) -> { next, lock, pending: Map<nonce, entry> }
+
+function num(key, def) {
+  const v = Number(process.env[key] || def);
+  return Number.isFinite(v) ? v : Number(def);
+}
+
+function settings() {
+  const policy = String(process.env.TX_STUCK_POLICY || 'speedup').toLowerCase();
+  return {
+    policy: ['speedup', 'cancel', 'wait'].includes(policy) ? policy : 'speedup',
+    maxSpeedups: Math.max(0, num('TX_SPEEDUP_MAX', '2')),
+    feeBump: Math.max(1.1, num('TX_REPLACE_FEE_BUMP', '1.25')), // nodes want >= +10% to replace
+    pollMs: Math.max(500, Math.min(cfg.BLOCK_TIME_MS || 2000, 2000))
+  };
+}
+
+function slot(address) {
+  const k = String(address).toLowerCase();
+  if (!wallets.has(k)) wallets.set(k, { next: null, lock: Promise.resolve(), pending: new Map() });
+  return wallets.get(k);
+}
+
+/** Next nonce for `address`. Release it with release() if the send never happens. */
+function reserve(address, provider) {
+  const s = slot(address);
+  const run = s.lock.then(async () => {
+    if (s.next === null) s.next = Number(await provider.getTransactionCount(address, 'pending'));
+    return s.next++;
+  });
+  s.lock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Hand back a nonce whose send failed before broadcast. The newest one just
+ * rolls back; an older one leaves a gap, so re-read from the node next time.
+ */
+function release(address, nonce) {
+  const s = slot(address);
+  if (s.pending.has(nonce)) return;
+  if (s.next === nonce + 1) s.next = nonce;
+  else s.next = null;
+}
+
+/** Drop the local counter; the next reserve() re-reads the node's pending count. */
+function resync(address) {
+  slot(address).next = null;
+}
+
+function track(address, tx, kind, meta = {}) {
+  slot(address).pending.set(tx.nonce, { hashes: [tx.hash], kind, meta, sentAt: Date.now(), replacements: 0 });
+  txTracker.submitted(kind, tx, meta);
+}
+
+function pending(address) {
+  const out = [];
+  for (const [addr, s] of wallets) {
+    if (address && addr !== String(address).toLowerCase()) continue;
+    for (const [nonce, e] of s.pending) out.push({ address: addr, nonce, kind: e.kind, hashes: e.hashes, ageMs: Date.now() - e.sentAt, ...e.meta });
+  }
+  return out;
+}
+
+// Sign, journal the hash (write-ahead, so a crash mid-broadcast can't lose it), then broadcast
+async function broadcast(signer, request, journal, step, fields = {}) {
+  if (!journal) return signer.sendTransaction(request);
+  const raw = await signer.signTransaction(await signer.populateTransaction(request));
+  txJournal.step(journal, step, { hash: ethers.keccak256(raw), nonce: request.nonce, ...fields });
+  return signer.provider.broadcastTransaction(raw);
+}
+
+/** Send `request` from `signer` with a locally assigned nonce and track it. */
+async function send(signer, request, kind, meta = {}) {
+  const from = await signer.getAddress();
+  const nonce = await reserve(from, signer.provider);
+  try {
+    const tx = await broadcast(signer, { ...request, nonce }, meta.journal, 'submitted', { from });
+    track(from, tx, kind, meta);
+    return tx;
+  } catch (e) {
+    const m = String(e.shortMessage || e.message || '').toLowerCase();
+    if (m.includes('nonce') || m.includes('already known') || m.includes('replacement')) resync(from);
+    else release(from, nonce);
+    throw e;
+  }
+}
+
+// The old fees bumped by `bump`, or today's high-urgency fees if those are higher
+async function bumpedFees(provider, tx, bump) {
+  const scale = (v) => (v === null || v === undefined) ? null : (BigInt(v) * BigInt(Math.round(bump * 1000))) / 1000n + 1n;
+  let fee = {};
+  try { fee = await feeEngine.quote({ provider, urgency: 'high' }); } catch {}
+  const max = (a, b) => (a === null ? b : b === null || b === undefined ? a : (a > b ? a : b));
+  if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+    return {
+      maxFeePerGas: max(scale(tx.maxFeePerGas), fee.maxFeePerGas ?? null),
+      maxPriorityFeePerGas: max(scale(tx.maxPriorityFeePerGas), fee.maxPriorityFeePerGas ?? null)
+    };
+  }
+  return { gasPrice: max(scale(tx.gasPrice), fee.gasPrice ?? null) };
+}
+
+// First receipt among every hash sent with this nonce, or null
+async function findReceipt(provider, hashes) {
+  for (const h of hashes) {
+    try {
+      const r = await provider.getTransactionReceipt(h);
+      if (r) return r;
+    } catch {}
+  }
+  return null;
+}
+
+async function pollReceipt(provider, hashes, ms, pollMs) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const r = await findReceipt(provider, hashes);
+    if (r || Date.now() >= until) return r;
+    await new Promise(res => setTimeout(res, Math.min(pollMs, Math.max(0, until - Date.now()))));
+  }
+}
+
+/**
+ * Wait for `tx` (sent through send()) to be mined. After each `timeoutMs`
+ * without a receipt the stuck policy kicks in: up to TX_SPEEDUP_MAX higher-fee
+ * copies, then a cancel. Resolves to
+ *   { outcome: 'mined'|'cancelled'|'pending', receipt, hash, replacements }
+ * where `hash` is the tx that actually landed (or the latest one sent).
+ */
+async function waitForTx(signer, tx, timeoutMs) {
+  const { policy, maxSpeedups, feeBump, pollMs } = settings();
+  const provider = signer.provider;
+  const from = await signer.getAddress();
+  const s = slot(from);
+  const entry = s.pending.get(tx.nonce) || { hashes: [tx.hash], kind: 'tx', meta: {}, replacements: 0 };
+  let latest = tx;
+  let cancelled = false;
+
+  const finish = (outcome, receipt) => {
+    if (outcome !== 'pending') {
+      s.pending.delete(tx.nonce);
+      for (const h of entry.hashes) txTracker.settled(h);
+    }
+    const hash = receipt ? receipt.hash : latest.hash;
+    return { outcome: receipt && cancelled && receipt.hash === latest.hash ? 'cancelled' : outcome, receipt, hash, replacements: entry.replacements };
+  };
+
+  for (let round = 0; ; round++) {
+    const receipt = await pollReceipt(provider, entry.hashes, timeoutMs, pollMs);
+    if (receipt) return finish('mined', receipt);
+
+    // Another tx with this nonce (ours, from elsewhere) may have landed
+    try {
+      const mined = Number(await provider.getTransactionCount(from, 'latest'));
+      if (mined > tx.nonce) {
+        const late = await findReceipt(provider, entry.hashes);
+        if (late) return finish('mined', late);
+        log.warn('tx_replaced', { txHash: tx.hash, nonce: tx.nonce, kind: entry.kind, ...entry.meta, msg: `nonce ${tx.nonce} was used by a tx we didn't track` });
+        return finish('cancelled', null);
+      }
+    } catch {}
+
+    if (cancelled || policy === 'wait') return finish('pending', null);
+
+    const speedup = policy === 'speedup' && entry.replacements < maxSpeedups;
+    try {
+      const fees = await bumpedFees(provider, latest, feeBump);
+      const request = speedup
+        ? { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, chainId: tx.chainId, nonce: tx.nonce, ...fees }
+        : { to: from, data: '0x', value: 0n, gasLimit: 21000n, chainId: tx.chainId, nonce: tx.nonce, ...fees };
+      const next = await broadcast(signer, request, entry.meta.journal, 'replaced', { kind: speedup ? 'speedup' : 'cancel' });
+      entry.replacements += 1;
+      entry.hashes.push(next.hash);
+      cancelled = !speedup;
+      latest = next;
+      const kind = speedup ? `${entry.kind}_speedup` : `${entry.kind}_cancel`;
+      txTracker.submitted(kind, next, { ...entry.meta, replaces: tx.hash });
+      console.log(`[nonce] ${speedup ? '⏫ Sped up' : '🛑 Cancelling'} ${entry.kind} nonce ${tx.nonce} after ${timeoutMs}ms: ${next.hash}`);
+    } catch (e) {
+      // Usually "nonce too low": the original got mined while we were replacing it
+      console.log(`[nonce] Replacement for nonce ${tx.nonce} failed: ${e.shortMessage || e.message}`);
+      const late = await findReceipt(provider, entry.hashes);
+      if (late) return finish('mined', late);
+      if (round >= maxSpeedups + 1) return finish('pending', null);
+    }
+  }
+}
+
+module.exports = { reserve, release, resync, send, waitForTx, pending };
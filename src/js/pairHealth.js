@@ -0,0 +1,131 @@
+// src/js/pairHealth.js — per-pair failure counts, exponential cooldowns, persisted blacklist
+// Fed from the logger bus: noquote / nopool / sizing_error / fail events count
+// against the pair they name, success resets it. A pair that keeps failing is
+// cooled down for BASE * 2^(streak-1) ms (capped), and blacklisted to disk
+// after PAIR_BLACKLIST_AFTER failures in a row.
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = { noquote: 'noquote', nopool: 'nopool', sizing_error: 'sizing_error', fail: 'exec' };
+
+const BASE_MS  = Number(process.env.PAIR_COOLDOWN_BASE_MS || 30_000);
+const MAX_MS   = Number(process.env.PAIR_COOLDOWN_MAX_MS  || 30 * 60_000);
+const BL_AFTER = Number(process.env.PAIR_BLACKLIST_AFTER  || 8);
+
+const pairs = new Map();     // pair -> { counts, streak, cooldownUntil, lastError, lastFailAt }
+let blacklist = {};          // pair -> { since, reason, counts }
+let loaded = false;
+
+function blacklistFile() {
+  return path.resolve(process.cwd(), process.env.PAIR_BLACKLIST_FILE || './pair-blacklist.json');
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const fp = blacklistFile();
+    if (fs.existsSync(fp)) {
+      const obj = JSON.parse(fs.readFileSync(fp, 'utf8'));
+      blacklist = (obj && obj.pairs) || {};
+      console.log(`[pairs] ${Object.keys(blacklist).length} blacklisted pairs loaded from ${fp}`);
+    }
+  } catch (e) {
+    console.warn('[pairs] failed to read blacklist:', e.message || String(e));
+  }
+}
+
+function save() {
+  try {
+    fs.writeFileSync(blacklistFile(), JSON.stringify({ updatedAt: new Date().toISOString(), pairs: blacklist }, null, 2));
+  } catch (e) {
+    console.warn('[pairs] failed to write blacklist:', e.message || String(e));
+  }
+}
+
+function entry(pair) {
+  if (!pairs.has(pair)) {
+    pairs.set(pair, { counts: { noquote: 0, nopool: 0, sizing_error: 0, exec: 0 }, streak: 0, cooldownUntil: 0, lastError: '', lastFailAt: 0 });
+  }
+  return pairs.get(pair);
+}
+
+function recordFailure(pair, kind, msg) {
+  load();
+  const e = entry(pair);
+  e.counts[kind] = (e.counts[kind] || 0) + 1;
+  e.streak += 1;
+  e.lastError = String(msg || kind);
+  e.lastFailAt = Date.now();
+  const cooldown = Math.min(BASE_MS * 2 ** (e.streak - 1), MAX_MS);
+  e.cooldownUntil = Date.now() + cooldown;
+
+  if (BL_AFTER > 0 && e.streak >= BL_AFTER && !blacklist[pair]) {
+    blacklist[pair] = { since: new Date().toISOString(), reason: e.lastError, counts: { ...e.counts } };
+    save();
+    console.log(`[pairs] ⛔ ${pair} blacklisted after ${e.streak} failures in a row (${kind})`);
+  } else {
+    console.log(`[pairs] ${pair} ${kind} (streak ${e.streak}), cooling down ${Math.round(cooldown / 1000)}s`);
+  }
+}
+
+function recordSuccess(pair) {
+  const e = pairs.get(pair);
+  if (!e) return;
+  e.streak = 0;
+  e.cooldownUntil = 0;
+}
+
+function isAvailable(pair) {
+  load();
+  if (blacklist[pair]) return false;
+  const e = pairs.get(pair);
+  return !e || e.cooldownUntil <= Date.now();
+}
+
+function filterAvailable(list) {
+  return list.filter(isAvailable);
+}
+
+/** Clear cooldown and blacklist for one pair, or for every pair when none is given. */
+function clear(pair) {
+  load();
+  if (pair) {
+    pairs.delete(pair);
+    if (blacklist[pair]) {
+      delete blacklist[pair];
+      save();
+    }
+    return { cleared: [pair] };
+  }
+  const cleared = [...new Set([...pairs.keys(), ...Object.keys(blacklist)])];
+  pairs.clear();
+  blacklist = {};
+  save();
+  return { cleared };
+}
+
+function snapshot() {
+  load();
+  const now = Date.now();
+  const cooling = {};
+  for (const [pair, e] of pairs) {
+    if (e.cooldownUntil > now || e.streak > 0) {
+      cooling[pair] = { ...e, counts: { ...e.counts }, cooldownMsLeft: Math.max(0, e.cooldownUntil - now) };
+    }
+  }
+  return { cooling, blacklist: { ...blacklist } };
+}
+
+/** Count failures straight off the logger bus so every attempt path is covered. */
+function attach(bus) {
+  load();
+  bus.on('log', (msg) => {
+    if (!msg || !msg.pair) return;
+    if (msg.type === 'success') return recordSuccess(msg.pair);
+    const kind = KINDS[msg.type];
+    if (kind) recordFailure(msg.pair, kind, msg.msg || msg.error);
+  });
+}
+
+module.exports = { attach, isAvailable, filterAvailable, recordFailure, recordSuccess, clear, snapshot };
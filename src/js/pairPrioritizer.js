@@ -0,0 +1,133 @@
+// src/js/pairPrioritizer.js — opportunity-weighted pair scheduling
+// Scores each pair from what the logger bus has seen of it:
+//   profit    EWMA of estimated net USD (skip/opportunity/success), squashed by a sigmoid
+//   spread    best-vs-worst venue spread in bps from the last quote
+//   liquidity BaseSwap reserves in USD (cached LIQ_CACHE_SEC), log-scaled
+//   failures  share of recent attempts that hit noquote/nopool/sizing/exec failures
+// Every batch is the top PRIORITY_HOT_COUNT pairs plus PRIORITY_COLD_SAMPLE
+// pairs taken round-robin from the rest, so cold pairs are still visited.
+const { getReserves } = require('./v2Spot');
+const { resolveToken } = require('./tokenResolver');
+const { getEthUsd } = require('./priceOracle');
+const cfg = require('./multichainConfig');
+
+const FAIL_TYPES = new Set(['noquote', 'nopool', 'sizing_error', 'fail']);
+
+const HOT_COUNT   = Number(process.env.PRIORITY_HOT_COUNT || 10);
+const COLD_SAMPLE = Number(process.env.PRIORITY_COLD_SAMPLE || 5);
+const ALPHA       = Number(process.env.PRIORITY_EWMA_ALPHA || 0.3);
+const PROFIT_SCALE = Number(process.env.PRIORITY_PROFIT_SCALE_USD || 1);
+const LIQ_TTL_MS  = Number(process.env.LIQ_CACHE_SEC || 120) * 1000;
+const WEIGHTS = {
+  profit: Number(process.env.PRIORITY_W_PROFIT || 0.5),
+  spread: Number(process.env.PRIORITY_W_SPREAD || 0.3),
+  liquidity: Number(process.env.PRIORITY_W_LIQUIDITY || 0.2)
+};
+
+const stats = new Map(); // pair -> { netEwma, spreadBps, liqUsd, liqAt, attempts, failures }
+const coldCursors = new Map(); // batch key (strategy) -> round-robin position
+
+function entry(pair) {
+  if (!stats.has(pair)) {
+    stats.set(pair, { netEwma: null, spreadBps: 0, liqUsd: null, liqAt: 0, liqPending: false, attempts: 0, failures: 0 });
+  }
+  return stats.get(pair);
+}
+
+function observeNet(e, net) {
+  if (!Number.isFinite(net)) return;
+  e.netEwma = e.netEwma === null ? net : ALPHA * net + (1 - ALPHA) * e.netEwma;
+}
+
+function stableOrWeth(addr) {
+  const a = String(addr).toLowerCase();
+  if (a === cfg.WETH_ADDRESS.toLowerCase()) return 'weth';
+  if (a === cfg.USDC_ADDRESS.toLowerCase()) return 'usd';
+  if (a === String(process.env.USDBC_ADDRESS || '').toLowerCase()) return 'usd';
+  return null;
+}
+
+// Pool TVL from the WETH/USD side of the BaseSwap pair (x2); null when neither side is priced
+async function refreshLiquidity(pair, e) {
+  e.liqPending = true;
+  try {
+    const [x, y] = String(pair).split('/').map(s => resolveToken(s.trim()));
+    const rs = await getReserves(x, y);
+    if (!rs) { e.liqUsd = 0; return; }
+    for (const [tok, res] of [[rs.token0, rs.reserve0], [rs.token1, rs.reserve1]]) {
+      const kind = stableOrWeth(tok);
+      if (kind === 'usd') { e.liqUsd = 2 * Number(res) / 1e6; return; }
+      if (kind === 'weth') { e.liqUsd = 2 * (Number(res) / 1e18) * await getEthUsd(); return; }
+    }
+    e.liqUsd = null;
+  } catch {
+    e.liqUsd = null;
+  } finally {
+    e.liqAt = Date.now();
+    e.liqPending = false;
+  }
+}
+
+function score(pair) {
+  const e = stats.get(pair);
+  if (!e) return 0.5; // unseen pairs sit mid-table until we know something
+  const sProfit = e.netEwma === null ? 0.5 : 1 / (1 + Math.exp(-e.netEwma / PROFIT_SCALE));
+  const sSpread = Math.min(Math.max(e.spreadBps, 0) / 100, 1);
+  const sLiq = e.liqUsd == null ? 0.5 : Math.min(Math.max(Math.log10(e.liqUsd + 1) / 7, 0), 1);
+  const failRate = e.attempts ? e.failures / e.attempts : 0;
+  return (WEIGHTS.profit * sProfit + WEIGHTS.spread * sSpread + WEIGHTS.liquidity * sLiq) * (1 - failRate);
+}
+
+/**
+ * Next scan batch from the currently available pairs: hottest first, then a
+ * rotating sample of the rest.
+ * @param {string[]} available
+ * @param {string} [key] - keeps a separate cold-pair cursor per caller
+ * @returns {string[]}
+ */
+function nextBatch(available, key = 'default') {
+  if (available.length <= HOT_COUNT + COLD_SAMPLE) return available.slice();
+
+  const ranked = available.map(p => ({ p, s: score(p) })).sort((a, b) => b.s - a.s);
+  const hot = ranked.slice(0, HOT_COUNT).map(x => x.p);
+  // Cold pairs keep pair-file order so the cursor walks every one of them in turn
+  const hotSet = new Set(hot);
+  const cold = available.filter(p => !hotSet.has(p));
+
+  const cursor = coldCursors.get(key) || 0;
+  const sample = [];
+  for (let i = 0; i < Math.min(COLD_SAMPLE, cold.length); i++) {
+    sample.push(cold[(cursor + i) % cold.length]);
+  }
+  coldCursors.set(key, (cursor + COLD_SAMPLE) % Math.max(cold.length, 1));
+
+  // Stale liquidity is refreshed in the background; scores pick it up next batch
+  for (const p of [...hot, ...sample]) {
+    const e = entry(p);
+    if (!e.liqPending && Date.now() - e.liqAt > LIQ_TTL_MS) refreshLiquidity(p, e);
+  }
+  return [...hot, ...sample];
+}
+
+function attach(bus) {
+  bus.on('log', (msg) => {
+    if (!msg || !msg.pair) return;
+    const e = entry(msg.pair);
+    if (msg.type === 'tick') e.attempts += 1;
+    if (FAIL_TYPES.has(msg.type)) e.failures += 1;
+    if (msg.type === 'skip') observeNet(e, Number(msg.netUsd));
+    if (msg.type === 'opportunity' || msg.type === 'success') observeNet(e, Number(msg.estNetUsd));
+    if (Number.isFinite(Number(msg.spreadBps))) e.spreadBps = Number(msg.spreadBps);
+    // Decay attempt history so an old bad patch doesn't pin a pair forever
+    if (e.attempts > 50) { e.attempts /= 2; e.failures /= 2; }
+  });
+}
+
+function snapshot(limit = 20) {
+  return [...stats.keys()]
+    .map(p => ({ pair: p, score: Number(score(p).toFixed(4)), ...stats.get(p) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = { attach, nextBatch, score, snapshot };
@@ -1,34 +1,127 @@
 // src/js/pnlStore.js
 const fs = require('fs');
-const { todayFile } = require('./tradesCsv');
+const { filesFor, dayKey } = require('./tradesCsv');
 
-const state = { realizedUsd: 0, count: 0 };
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MONTH_MS = 30 * DAY_MS;
 
-function initFromTodayCsv() {
+// Totals are today's (local day, like the trade files) and start over at midnight;
+// `entries` keeps a month of (ts, netUsd, mode) for the windowed views.
+// A trade counts at its receipt-based realizedNetUsd when it has one, else at the
+// estimate; estimatedUsd and the slippage sums keep the estimate-vs-actual view.
+const blank = () => ({ realizedUsd: 0, estimatedUsd: 0, count: 0, slippageBps: 0, slippageCount: 0 });
+const state = { ...blank(), paper: blank(), entries: [], day: dayKey() };
+
+// A new day starts today's totals from zero; the windowed entries carry on
+function rollover() {
+  const today = dayKey();
+  if (state.day === today) return;
+  Object.assign(state, blank(), { paper: blank(), day: today });
+}
+
+// tradesCsv column order; a day's rotated files (.v2, ...) are read by the same indices
+const COL = { netUsd: 11, mode: 13, realizedNetUsd: 16, slippageBps: 18 };
+
+function bucket(mode) {
+  return mode === 'paper' ? state.paper : state;
+}
+
+function num(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function tally(b, estimated, realized, slippageBps) {
+  b.estimatedUsd += estimated;
+  b.realizedUsd += realized === null ? estimated : realized;
+  b.count += 1;
+  if (slippageBps !== null) {
+    b.slippageBps += slippageBps;
+    b.slippageCount += 1;
+  }
+}
+
+function parseTs(v) {
+  const n = Number(v);
+  if (Number.isFinite(n) && n > 0) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : Date.now();
+}
+
+function loadFile(fp, countInTotals) {
   try {
-    const fp = todayFile();
     if (!fs.existsSync(fp)) return;
     const lines = fs.readFileSync(fp, 'utf8').trim().split('\n');
     for (let i = 1; i < lines.length; i++) {
       const cols = lines[i].split(',');
-      const netUsd = parseFloat(cols[11] || '0');
-      if (Number.isFinite(netUsd)) {
-        state.realizedUsd += netUsd;
-        state.count += 1;
-      }
+      if (!cols[COL.netUsd]) continue; // status rows (a tx's final state at shutdown) carry no PnL
+      const estimated = parseFloat(cols[COL.netUsd]);
+      if (!Number.isFinite(estimated)) continue;
+      const realized = num(cols[COL.realizedNetUsd]);
+      if (cols[COL.mode] === 'paper_quote') continue; // quote-filled paper trades aren't counted
+      const mode = cols[COL.mode] === 'paper' ? 'paper' : 'live';
+      state.entries.push({ ts: parseTs(cols[0]), netUsd: realized === null ? estimated : realized, mode });
+      if (countInTotals) tally(bucket(mode), estimated, realized, num(cols[COL.slippageBps]));
     }
   } catch {}
 }
 
+function initFromTodayCsv() {
+  rollover();
+  for (const fp of filesFor(new Date())) loadFile(fp, true);
+}
+
+// Earlier days only feed the hour/day/week/month windows, not today's totals
+function initHistory(days = 30) {
+  const now = Date.now();
+  for (let i = days; i >= 1; i--) {
+    for (const fp of filesFor(new Date(now - i * DAY_MS))) loadFile(fp, false);
+  }
+  state.entries.sort((a, b) => a.ts - b.ts);
+}
+
 function addTrade(tr) {
-  if (typeof tr.netUsd === 'number' && Number.isFinite(tr.netUsd)) {
-    state.realizedUsd += tr.netUsd;
-    state.count += 1;
+  rollover();
+  if (typeof tr.netUsd === 'number' && Number.isFinite(tr.netUsd) && tr.mode !== 'paper_quote') {
+    const mode = tr.mode === 'paper' ? 'paper' : 'live';
+    const realized = num(tr.realizedNetUsd);
+    tally(bucket(mode), tr.netUsd, realized, num(tr.slippageBps));
+    state.entries.push({ ts: Date.now(), netUsd: realized === null ? tr.netUsd : realized, mode });
+    const cutoff = Date.now() - MONTH_MS;
+    while (state.entries.length && state.entries[0].ts < cutoff) state.entries.shift();
   }
 }
 
+function summarize(b) {
+  return {
+    realizedUsd: Number(b.realizedUsd.toFixed(6)),
+    estimatedUsd: Number(b.estimatedUsd.toFixed(6)),
+    count: b.count,
+    avgSlippageBps: b.slippageCount ? Number((b.slippageBps / b.slippageCount).toFixed(2)) : null
+  };
+}
+
+/** Today's totals; realizedUsd is what receipts say, estimatedUsd what the guard expected. */
 function getTotals() {
-  return { realizedUsd: Number(state.realizedUsd.toFixed(6)), count: state.count };
+  rollover();
+  return { ...summarize(state), paper: summarize(state.paper) };
+}
+
+/** Rolling hour/day/week/month sums of realized net USD for 'live' or 'paper'. */
+function getWindows(mode = 'live') {
+  const now = Date.now();
+  const out = { hour: 0, day: 0, week: 0, month: 0 };
+  for (const e of state.entries) {
+    if (e.mode !== mode) continue;
+    const age = now - e.ts;
+    if (age <= HOUR_MS) out.hour += e.netUsd;
+    if (age <= DAY_MS) out.day += e.netUsd;
+    if (age <= 7 * DAY_MS) out.week += e.netUsd;
+    if (age <= MONTH_MS) out.month += e.netUsd;
+  }
+  return out;
 }
 
-module.exports = { initFromTodayCsv, addTrade, getTotals };
+module.exports = { initFromTodayCsv, initHistory, addTrade, getTotals, getWindows };
@@ -1,6 +1,8 @@
 // src/js/poolChecker.js - Check if pools exist before attempting quotes
 const { ethers } = require('ethers');
 const { getProvider } = require('./robustProvider');
+const { currentBlock } = require('./blockWatcher');
+const cfg = require('./multichainConfig');
 
 const FACTORY_ABI = ['function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address)'];
 const POOL_ABI = [
@@ -8,7 +10,7 @@ const POOL_ABI = [
   'function liquidity() external view returns (uint128)'
 ];
 
-const UNI_V3_FACTORY = process.env.UNI_V3_FACTORY || '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+const UNI_V3_FACTORY = cfg.UNI_V3_FACTORY;
 
 // Cache to avoid repeated checks
 const poolCache = new Map();
@@ -23,7 +25,10 @@ async function checkPoolExists(tokenA, tokenB, fee) {
   const cacheKey = getCacheKey(tokenA, tokenB, fee);
   const cached = poolCache.get(cacheKey);
   
-  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+  // In block-driven mode slot0 is only good for the block it was read at
+  const head = currentBlock();
+  const sameBlock = head === null || !cached || !cached.result.exists || cached.result.blockNumber === head;
+  if (cached && sameBlock && (Date.now() - cached.timestamp) < CACHE_TTL) {
     return cached.result;
   }
   
@@ -68,7 +73,8 @@ async function checkPoolExists(tokenA, tokenB, fee) {
         exists: true, 
         address: poolAddress, 
         sqrtPriceX96: slot0[0], 
-        liquidity 
+        liquidity,
+        blockNumber: head
       };
       poolCache.set(cacheKey, { result, timestamp: Date.now() });
       return result;
@@ -1,15 +1,16 @@
 // src/js/priceOracle.js
-// Robust ETH/USD oracle for Base: Chainlink (if provided) -> UniV3 WETH/USDC (fees list) -> FALLBACK_ETH_USD
+// Robust ETH/USD oracle: Chainlink (registry feed or CHAINLINK_ETH_USD_FEED) -> UniV3 WETH/USDC (fees list) -> FALLBACK_ETH_USD
 const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
-const RPC_URL  = process.env.EVM_RPC_URL;
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
+const RPC_URL  = cfg.EVM_RPC_URL;
 
-const WETH = (process.env.WETH_ADDRESS || '0x4200000000000000000000000000000000000006').toLowerCase();
-const USDC = (process.env.USDC_ADDRESS || '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913').toLowerCase();
+const WETH = cfg.WETH_ADDRESS.toLowerCase();
+const USDC = cfg.USDC_ADDRESS.toLowerCase();
 
-const UNI_V3_FACTORY = (process.env.UNI_V3_FACTORY || '0x33128a8fC17869897dcE68Ed026d694621f6FDfD');
-const CHAINLINK_FEED = (process.env.CHAINLINK_ETH_USD_FEED || '').toLowerCase();
+const UNI_V3_FACTORY = cfg.UNI_V3_FACTORY;
+const CHAINLINK_FEED = cfg.CHAINLINK_ETH_USD_FEED.toLowerCase();
 
 const V3_FEES = (process.env.UNI_V3_FEE_LIST || '500,3000,10000')
   .split(',').map(s => parseInt(s.trim(), 10)).filter(n => Number.isFinite(n) && n > 0);
@@ -3,12 +3,17 @@ const { ethers } = require('ethers');
 const { getEthUsd } = require('./priceOracle');
 const { spotAmountOut }   = require('./v3Spot');
 const { spotAmountOutV2 } = require('./v2Spot');
+const cfg = require('./multichainConfig');
+const { stableAddresses } = require('./chains');
+const feeEngine = require('./feeEngine');
+const l1Fee = require('./l1Fee');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
 
-const WETH = (process.env.WETH_ADDRESS  || '0x4200000000000000000000000000000000000006').toLowerCase();
-const USDC = (process.env.USDC_ADDRESS  || '0x833589fcd6edb6e08f4c7c32d4f71b54bdA02913').toLowerCase();
-const USDBC= (process.env.USDBC_ADDRESS || '0xeb466342c4d449bc9f53a865d5cb90586f405215').toLowerCase();
+const WETH = cfg.WETH_ADDRESS.toLowerCase();
+const USDC = cfg.USDC_ADDRESS.toLowerCase();
+const USDBC= (cfg.USDBC_ADDRESS || cfg.USDC_ADDRESS).toLowerCase();
+const STABLES = new Set([USDC, USDBC, ...stableAddresses(cfg.CHAIN)]);
 
 const V3_FEES = (process.env.UNI_V3_FEE_LIST || '500,3000,10000')
   .split(',').map(s => parseInt(s.trim(), 10)).filter(n => Number.isFinite(n) && n > 0);
@@ -16,20 +21,27 @@ const V3_FEES = (process.env.UNI_V3_FEE_LIST || '500,3000,10000')
 const GAS_DEFAULTS = {
   baseswap: parseInt(process.env.GAS_ESTIMATE_UNIV2 || '220000', 10),
   univ2:    parseInt(process.env.GAS_ESTIMATE_UNIV2 || '220000', 10),
-  univ3:    parseInt(process.env.GAS_ESTIMATE_UNIV3 || '300000', 10)
+  univ3:    parseInt(process.env.GAS_ESTIMATE_UNIV3 || '300000', 10),
+  aerodrome: parseInt(process.env.GAS_ESTIMATE_AERODROME || process.env.GAS_ESTIMATE_UNIV2 || '220000', 10)
 };
 
 function getProvider() {
-  if (!process.env.EVM_RPC_URL) throw new Error('EVM_RPC_URL missing');
-  return new ethers.JsonRpcProvider(process.env.EVM_RPC_URL, CHAIN_ID);
+  return new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, CHAIN_ID);
 }
 
-async function gasPriceWei(pvd){
-  if (process.env.FIXED_GAS_PRICE_WEI) {
-    try { return BigInt(process.env.FIXED_GAS_PRICE_WEI); } catch {}
-  }
-  const fee = await pvd.getFeeData();
-  return (fee.maxFeePerGas ?? fee.gasPrice ?? 100_000_000n);
+// What a tx sent now would pay per gas (base fee + tip), not the maxFeePerGas cap.
+// `profitUsd` is the edge before gas, which FEE_URGENCY=auto sizes the tip from.
+async function gasPriceWei(pvd, profitUsd){
+  const fee = await feeEngine.quote({ provider: pvd, profitUsd });
+  return { gasWei: fee.expectedGasPrice, urgency: fee.urgency, fee };
+}
+
+// L2 execution gas plus, on OP-stack chains, the L1 data fee for the swap calldata
+async function gasCostUsd(pvd, { gasWei, fee }, gasUnits, swaps, ethUsd) {
+  const l1Wei = await l1Fee.estimate(pvd, swaps.map(q => l1Fee.swapRequest(q)), { fees: fee, gasLimit: gasUnits });
+  const l2GasUsd = Number(gasWei) * gasUnits / 1e18 * ethUsd;
+  const l1FeeUsd = Number(l1Wei) / 1e18 * ethUsd;
+  return { gasUsd: l2GasUsd + l1FeeUsd, l2GasUsd, l1FeeUsd };
 }
 
 function asNumber(raw, decimals){
@@ -41,7 +53,7 @@ function asNumber(raw, decimals){
 async function usdValueOf(tokenAddr, rawAmount, ethUsd){
   const t = tokenAddr.toLowerCase();
   const amt = BigInt(rawAmount);
-  if (t === USDC || t === USDBC) return Number(amt) / 1e6;
+  if (STABLES.has(t)) return Number(amt) / 1e6;
   if (t === WETH) return (Number(amt) / 1e18) * ethUsd;
 
   for (const fee of V3_FEES) {
@@ -71,6 +83,7 @@ async function usdValueOf(tokenAddr, rawAmount, ethUsd){
  * @param {string} params.side
  * @param {bigint} params.sellAmountWei
  * @param {Object} params.normQuote
+ * @param {number} [params.minUsd] - profit floor, defaults to MIN_USD_PROFIT
  */
 async function check(params) {
   const pvd = getProvider();
@@ -78,15 +91,10 @@ async function check(params) {
   const router = (params.normQuote.router || 'baseswap').toLowerCase();
   const gasUnits = GAS_DEFAULTS[router] || GAS_DEFAULTS.univ2;
 
-  const gasWei = await gasPriceWei(pvd);
-  const gasCostEth = Number(gasWei) * gasUnits / 1e18;
-
   let ethUsd = 0;
   try { ethUsd = await getEthUsd(); }
   catch { ethUsd = Number(process.env.FALLBACK_ETH_USD || '3200'); }
 
-  const gasUsd = gasCostEth * ethUsd;
-
   const sellToken = params.normQuote.sellToken;
   const buyToken  = params.normQuote.buyToken;
 
@@ -97,24 +105,106 @@ async function check(params) {
   const buyUsd  = await usdValueOf(buyToken,  buyAmt,  ethUsd);
 
   if (sellUsd == null || buyUsd == null) {
-    return { ok: false, netUsd: 0, gasUsd, reason: 'unpriceable' };
+    return { ok: false, netUsd: 0, gasUsd: 0, reason: 'unpriceable' };
   }
 
   const grossUsd = buyUsd - sellUsd;
+  const price = await gasPriceWei(pvd, grossUsd);
+  const swap = { ...params.normQuote, sellAmount: sellAmt.toString() };
+  const { gasUsd, l2GasUsd, l1FeeUsd } = await gasCostUsd(pvd, price, gasUnits, [swap], ethUsd);
   const netUsd   = grossUsd - gasUsd;
 
-  const minUsd = Number(process.env.MIN_USD_PROFIT || '1');
+  // Buy amount that just pays back the sell side plus gas; executors won't send below it
+  const breakEvenRatio = buyUsd > 0 ? (sellUsd + gasUsd) / buyUsd : 1;
+  const breakEvenOut = (buyAmt * BigInt(Math.ceil(breakEvenRatio * 1e9))) / 1_000_000_000n;
+
+  const minUsd = params.minUsd != null ? Number(params.minUsd) : Number(process.env.MIN_USD_PROFIT || '1');
   const ok = netUsd >= minUsd;
 
   return {
     ok,
     netUsd: Number(netUsd.toFixed ? netUsd.toFixed(6) : netUsd),
     gasUsd,
+    l2GasUsd,
+    l1FeeUsd,
+    gasPriceWei: price.gasWei.toString(),
+    feeUrgency: price.urgency,
     router,
     sellUsd,
     buyUsd,
-    grossUsd
+    grossUsd,
+    breakEvenOut: breakEvenOut.toString()
+  };
+}
+
+/**
+ * Round-trip check: startToken -> X -> startToken across two routers.
+ * The loop is only ok when what comes back, valued in USD, beats what went
+ * in plus gas for both legs by at least MIN_USD_PROFIT.
+ * @param {Object} params
+ * @param {number} params.chainId
+ * @param {string} params.pair
+ * @param {string} params.startToken
+ * @param {bigint} params.amountIn
+ * @param {bigint} params.amountOut
+ * @param {string[]} params.routers - router of each leg, in order
+ * @param {number} [params.minUsd] - profit floor, defaults to MIN_USD_PROFIT
+ */
+async function checkRoundTrip(params) {
+  const pvd = getProvider();
+
+  const gasUnits = params.routers
+    .map(r => GAS_DEFAULTS[String(r || '').toLowerCase()] || GAS_DEFAULTS.univ2)
+    .reduce((a, b) => a + b, 0);
+
+  let ethUsd = 0;
+  try { ethUsd = await getEthUsd(); }
+  catch { ethUsd = Number(process.env.FALLBACK_ETH_USD || '3200'); }
+
+  const amountIn  = BigInt(params.amountIn);
+  const amountOut = BigInt(params.amountOut);
+
+  const inUsd  = await usdValueOf(params.startToken, amountIn,  ethUsd);
+  const outUsd = await usdValueOf(params.startToken, amountOut, ethUsd);
+
+  if (inUsd == null || outUsd == null || inUsd <= 0) {
+    return { ok: false, netUsd: 0, gasUsd: 0, reason: 'unpriceable' };
+  }
+
+  const grossUsd = outUsd - inUsd;
+  const price = await gasPriceWei(pvd, grossUsd);
+  // One swap per leg; each leg's calldata is about the size of a start-token swap
+  const swaps = params.routers.map(router => ({
+    router, sellToken: params.startToken, buyToken: params.startToken, sellAmount: amountIn, buyAmount: amountOut
+  }));
+  const { gasUsd, l2GasUsd, l1FeeUsd } = await gasCostUsd(pvd, price, gasUnits, swaps, ethUsd);
+
+  // Express gas in the start token so the loop is judged in its own units
+  const usdPerRaw = inUsd / Number(amountIn);
+  const gasInStartRaw = BigInt(Math.ceil(gasUsd / usdPerRaw));
+  const netStartRaw = amountOut - amountIn - gasInStartRaw;
+
+  const netUsd   = grossUsd - gasUsd;
+
+  const minUsd = params.minUsd != null ? Number(params.minUsd) : Number(process.env.MIN_USD_PROFIT || '1');
+  const ok = netStartRaw > 0n && netUsd >= minUsd;
+
+  return {
+    ok,
+    netUsd: Number(netUsd.toFixed(6)),
+    gasUsd,
+    l2GasUsd,
+    l1FeeUsd,
+    gasPriceWei: price.gasWei.toString(),
+    feeUrgency: price.urgency,
+    grossUsd,
+    sellUsd: inUsd,
+    buyUsd: outUsd,
+    netStartRaw: netStartRaw.toString(),
+    gasInStartRaw: gasInStartRaw.toString(),
+    breakEvenOut: (amountIn + gasInStartRaw).toString(), // what the last leg must return
+    routers: params.routers
   };
 }
 
-module.exports = { check };
+module.exports = { check, checkRoundTrip };
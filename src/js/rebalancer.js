@@ -1,5 +1,5 @@
 // src/js/rebalancer.js
-// Rebalance all held tokens back to WETH on Base
+// Rebalance all held tokens back to WETH on the active chain (see chains.js)
 // Adds wallet-wide discovery using on-chain log scan (no CSV dependency).
 //
 // Exports:
@@ -18,15 +18,16 @@ let tradesCsv, wsBus, baseSwapRouters;
 try { tradesCsv = require('./tradesCsv'); } catch {}
 try { wsBus     = require('./wsBus'); } catch {}
 try { baseSwapRouters = require('./baseSwapRouters'); } catch {}
+const cfg = require('./multichainConfig');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
 const RPC_URL  = process.env.EVM_RPC_URL;
 if (!RPC_URL) console.warn('[rebalance] WARN: EVM_RPC_URL missing');
 
-const WETH  = (process.env.WETH_ADDRESS  || '0x4200000000000000000000000000000000000006').toLowerCase();
-const USDC  = (process.env.USDC_ADDRESS  || '0x833589fcd6edb6e08f4c7c32d4f71b54bdA02913').toLowerCase();
-const USDBC = (process.env.USDBC_ADDRESS || '0xeb466342c4d449bc9f53a865d5cb90586f405215').toLowerCase();
-const DEFAULT_ROUTER = (process.env.BASESWAP_ROUTER || '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86');
+const WETH  = cfg.WETH_ADDRESS.toLowerCase();
+const USDC  = cfg.USDC_ADDRESS.toLowerCase();
+const USDBC = (cfg.USDBC_ADDRESS || cfg.USDC_ADDRESS).toLowerCase();
+const DEFAULT_ROUTER = cfg.BASESWAP_ROUTER; // the chain's UniV2-style router; empty if it has none
 
 const INCLUDE_STABLES = /^true$/i.test(process.env.REBALANCE_INCLUDE_STABLES || 'false');
 const MIN_USD = Number(process.env.REBALANCE_MIN_USD || '2');
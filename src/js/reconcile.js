@@ -0,0 +1,122 @@
+// src/js/reconcile.js - what a trade actually did, from its receipts
+// Quotes say what we expected; receipts say what happened. actualAmounts()
+// reads the wallet's ERC-20 Transfer logs (falling back to the pools' Swap
+// events) for the real amounts in and out, and realize() turns those plus the
+// fees paid (L2 + L1) into realized net USD next to the profit guard's estimate.
+const { ethers } = require('ethers');
+const { getEthUsd } = require('./priceOracle');
+const { sumFees } = require('./l1Fee');
+
+const TRANSFER = ethers.id('Transfer(address,address,uint256)');
+// UniV2-style pair: Swap(sender, amount0In, amount1In, amount0Out, amount1Out, to)
+const V2_SWAP = ethers.id('Swap(address,uint256,uint256,uint256,uint256,address)');
+// Solidly-style pool (Aerodrome/Velodrome): Swap(sender, to, amount0In, amount1In, amount0Out, amount1Out)
+const SOLIDLY_SWAP = ethers.id('Swap(address,address,uint256,uint256,uint256,uint256)');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function topicAddress(topic) {
+  return ethers.getAddress('0x' + topic.slice(26)).toLowerCase();
+}
+
+/** Pool Swap events in log order: [{ pool, amount0In, amount1In, amount0Out, amount1Out }] */
+function swapEvents(receipt) {
+  const out = [];
+  for (const lg of receipt.logs || []) {
+    const t0 = lg.topics && lg.topics[0];
+    if (t0 !== V2_SWAP && t0 !== SOLIDLY_SWAP) continue;
+    try {
+      const [amount0In, amount1In, amount0Out, amount1Out] = coder.decode(['uint256', 'uint256', 'uint256', 'uint256'], lg.data);
+      out.push({ pool: lg.address.toLowerCase(), amount0In, amount1In, amount0Out, amount1Out });
+    } catch {}
+  }
+  return out;
+}
+
+/**
+ * Amounts of `sellToken` that left `wallet` and `buyToken` that reached it in
+ * this receipt, as decimal strings: { sellAmount, buyAmount, swaps }. Either is
+ * null when no matching Transfer was logged; then the first/last pool Swap
+ * event stands in for it.
+ */
+function actualAmounts(receipt, wallet, sellToken, buyToken) {
+  const w = String(wallet).toLowerCase();
+  const sell = String(sellToken).toLowerCase();
+  const buy = String(buyToken).toLowerCase();
+  let sent = null, received = null;
+
+  for (const lg of receipt.logs || []) {
+    if (!lg.topics || lg.topics[0] !== TRANSFER || lg.topics.length < 3) continue;
+    const token = lg.address.toLowerCase();
+    let value;
+    try { value = BigInt(lg.data); } catch { continue; }
+    const from = topicAddress(lg.topics[1]);
+    const to = topicAddress(lg.topics[2]);
+    if (token === sell && from === w) sent = (sent || 0n) + value;
+    if (token === buy && to === w) received = (received || 0n) + value;
+  }
+
+  const swaps = swapEvents(receipt);
+  if (swaps.length) {
+    const first = swaps[0], last = swaps[swaps.length - 1];
+    if (sent === null) sent = first.amount0In > 0n ? first.amount0In : first.amount1In;
+    if (received === null) received = last.amount0Out > 0n ? last.amount0Out : last.amount1Out;
+  }
+
+  return {
+    sellAmount: sent === null ? null : sent.toString(),
+    buyAmount: received === null ? null : received.toString(),
+    swaps: swaps.length
+  };
+}
+
+function ratio(actual, quoted) {
+  const q = BigInt(quoted);
+  return q === 0n ? 1 : Number(BigInt(actual)) / Number(q);
+}
+
+/**
+ * Fees the txs behind these executor results actually paid (reverts and mined
+ * cancels included): { l2FeeWei, l1FeeWei, gasPaidUsd }, or { gasPaidUsd: 0 }
+ * when nothing was mined.
+ */
+async function paidUsd(results) {
+  const paid = sumFees(results);
+  if (paid.l2FeeWei === undefined) return { gasPaidUsd: 0 };
+
+  let ethUsd;
+  try { ethUsd = await getEthUsd(); }
+  catch { ethUsd = Number(process.env.FALLBACK_ETH_USD || '3200'); }
+  const gasPaidUsd = Number(BigInt(paid.l2FeeWei) + BigInt(paid.l1FeeWei)) / 1e18 * ethUsd;
+  return { ...paid, gasPaidUsd: Number(gasPaidUsd.toFixed(6)) };
+}
+
+/**
+ * Realized result of a trade from its executor results (one per tx, in order).
+ * The first tx's sellAmount is what went in and the last one's buyAmount what
+ * came out; both are valued at the guard's USD-per-unit so realized and
+ * estimated net differ only by fills and fees. Resolves to the paid fees plus
+ *   { realizedNetUsd, gasPaidUsd, slippageBps }
+ * or {} for paper trades (no receipts).
+ */
+async function realize(guard, quotedIn, quotedOut, results) {
+  const { gasPaidUsd, ...paid } = await paidUsd(results);
+  if (paid.l2FeeWei === undefined) return {};
+
+  const first = results[0], last = results[results.length - 1];
+  const actualIn = first.sellAmount || quotedIn;
+  const actualOut = last.buyAmount || quotedOut;
+  const inUsd = guard.sellUsd * ratio(actualIn, quotedIn);
+  const outUsd = guard.buyUsd * ratio(actualOut, quotedOut);
+  // Positive = filled worse than quoted
+  const slippageBps = (1 - ratio(actualOut, quotedOut)) * 10_000;
+
+  return {
+    ...paid,
+    realizedNetUsd: Number((outUsd - inUsd - gasPaidUsd).toFixed(6)),
+    gasPaidUsd,
+    slippageBps: Number(slippageBps.toFixed(2))
+  };
+}
+
+module.exports = { actualAmounts, swapEvents, paidUsd, realize };
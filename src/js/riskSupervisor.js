@@ -0,0 +1,142 @@
+// src/js/riskSupervisor.js — circuit breaker in front of execution
+// Trips (and stays tripped until an operator resets it) when:
+//   - today's realized live PnL from pnlStore drops below -RISK_DAILY_LOSS_USD
+//     ("today" is the local day the trade files and pnlStore roll over on)
+//   - the swap failure rate over RISK_WINDOW_MS reaches RISK_MAX_FAIL_RATE
+//     (once at least RISK_MIN_SAMPLES swaps have been tried)
+//   - gas paid over RISK_WINDOW_MS (receipt fees, reverts and cancels included)
+//     exceeds RISK_GAS_BUDGET_USD
+// While tripped the worker keeps scanning but executes nothing. Outcomes come
+// off the logger bus (success/fail); paper trades don't count.
+const log = require('./logger');
+const pnlStore = require('./pnlStore');
+const { dayKey } = require('./tradesCsv');
+
+function num(key, def) {
+  const v = Number(process.env[key] || def);
+  return Number.isFinite(v) ? v : Number(def);
+}
+
+function limits() {
+  return {
+    dailyLossUsd: num('RISK_DAILY_LOSS_USD', '0'),   // 0 = off
+    windowMs: num('RISK_WINDOW_MS', '3600000'),
+    maxFailRate: num('RISK_MAX_FAIL_RATE', '0.5'),   // 0 = off
+    minSamples: num('RISK_MIN_SAMPLES', '5'),
+    gasBudgetUsd: num('RISK_GAS_BUDGET_USD', '0')    // 0 = off
+  };
+}
+
+const state = {
+  tripped: null,        // { reason, detail, at }
+  outcomes: [],         // { ts, ok, gasUsd }
+  lossBaseline: null,   // { day, realizedUsd } set by a reset so the same loss doesn't re-trip
+  trips: 0
+};
+
+function today() {
+  return dayKey();
+}
+
+function prune(now = Date.now()) {
+  const cutoff = now - limits().windowMs;
+  while (state.outcomes.length && state.outcomes[0].ts < cutoff) state.outcomes.shift();
+}
+
+function windowStats() {
+  prune();
+  let ok = 0, failed = 0, gasUsd = 0;
+  for (const o of state.outcomes) {
+    if (o.ok) ok += 1; else failed += 1;
+    gasUsd += o.gasUsd;
+  }
+  const total = ok + failed;
+  return { ok, failed, total, failRate: total ? failed / total : 0, gasUsd: Number(gasUsd.toFixed(4)) };
+}
+
+function dailyLoss() {
+  const realized = pnlStore.getTotals().realizedUsd;
+  const base = state.lossBaseline && state.lossBaseline.day === today() ? state.lossBaseline.realizedUsd : 0;
+  return { realized, sinceReset: realized - Math.min(base, 0) };
+}
+
+function trip(reason, detail) {
+  if (state.tripped) return;
+  state.tripped = { reason, detail, at: new Date().toISOString() };
+  state.trips += 1;
+  log.error('circuit_trip', { reason, ...detail, msg: `Circuit breaker tripped (${reason}), execution halted until reset` });
+  console.log(`[risk] ⛔ Circuit breaker tripped: ${reason} ${JSON.stringify(detail)}`);
+}
+
+/** Re-check every limit; trips if one is breached. */
+function evaluate() {
+  if (state.tripped) return state.tripped;
+  const l = limits();
+
+  if (l.dailyLossUsd > 0) {
+    const { realized, sinceReset } = dailyLoss();
+    if (sinceReset <= -l.dailyLossUsd) trip('daily_loss', { realizedUsd: realized, limitUsd: -l.dailyLossUsd });
+  }
+
+  const w = windowStats();
+  if (!state.tripped && l.maxFailRate > 0 && w.total >= l.minSamples && w.failRate >= l.maxFailRate) {
+    trip('failure_rate', { failRate: Number(w.failRate.toFixed(3)), failed: w.failed, total: w.total, windowMs: l.windowMs });
+  }
+  if (!state.tripped && l.gasBudgetUsd > 0 && w.gasUsd > l.gasBudgetUsd) {
+    trip('gas_budget', { gasUsd: w.gasUsd, budgetUsd: l.gasBudgetUsd, windowMs: l.windowMs });
+  }
+  return state.tripped;
+}
+
+/** True when execution may proceed. */
+function allowExecution() {
+  return !evaluate();
+}
+
+function recordOutcome(ok, gasUsd) {
+  state.outcomes.push({ ts: Date.now(), ok, gasUsd: Number.isFinite(gasUsd) ? gasUsd : 0 });
+  evaluate();
+}
+
+/** Operator reset: clears the trip and the rolling window, and accepts today's loss so far. */
+function reset(by = 'operator') {
+  const was = state.tripped;
+  state.tripped = null;
+  state.outcomes = [];
+  state.lossBaseline = { day: today(), realizedUsd: pnlStore.getTotals().realizedUsd };
+  log.info('circuit_reset', { by, previous: was && was.reason, msg: `Circuit breaker reset by ${by}` });
+  console.log(`[risk] ✅ Circuit breaker reset by ${by}`);
+  return status();
+}
+
+function status() {
+  return {
+    tripped: state.tripped,
+    trips: state.trips,
+    limits: limits(),
+    window: windowStats(),
+    dailyLoss: dailyLoss()
+  };
+}
+
+// Session persistence: a trip survives restarts so only an operator can clear it
+function snapshot() {
+  return { tripped: state.tripped, lossBaseline: state.lossBaseline, trips: state.trips };
+}
+
+function restore(saved = {}) {
+  if (saved.tripped) state.tripped = saved.tripped;
+  if (saved.lossBaseline) state.lossBaseline = saved.lossBaseline;
+  if (Number.isFinite(saved.trips)) state.trips = saved.trips;
+}
+
+function attach(bus) {
+  bus.on('log', (msg) => {
+    if (!msg || msg.paper) return;
+    // gasPaidUsd is from the receipts; a success without one (no fee data) falls back to the estimate
+    if (msg.type === 'success') recordOutcome(true, Number(Number.isFinite(msg.gasPaidUsd) ? msg.gasPaidUsd : msg.gasUsd));
+    else if (msg.type === 'fail') recordOutcome(false, Number(msg.gasUsd));
+  });
+}
+
+module.exports = { attach, allowExecution, evaluate, reset, status, snapshot, restore };
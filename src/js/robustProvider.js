@@ -1,11 +1,13 @@
-// src/js/robustProvider.js - Rate-limited, network-pinned provider for Base
+// src/js/robustProvider.js - Rate-limited, network-pinned provider for the active chain
 const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+const feeEngine = require('./feeEngine');
 
 class RateLimitedProvider {
-  constructor(urls, chainId = 8453) {
+  constructor(urls, chainId = cfg.EVM_CHAIN_ID, name = cfg.EVM_CHAIN) {
     this.urls = Array.isArray(urls) ? urls : [urls];
     this.chainId = chainId;
-    this.network = { chainId, name: 'base' };
+    this.network = { chainId, name };
     this.currentIndex = 0;
     this.providers = [];
     this.requestQueue = [];
@@ -109,11 +111,12 @@ class RateLimitedProvider {
   
   async getFeeData() {
     try {
-      const gasPrice = await this.callWithRetry('eth_gasPrice', []);
+      // Same estimate the executors send with (feeEngine, from eth_feeHistory)
+      const q = await feeEngine.quote({ provider: this });
       return {
-        gasPrice: BigInt(gasPrice),
-        maxFeePerGas: BigInt(gasPrice),
-        maxPriorityFeePerGas: BigInt(Math.floor(Number(gasPrice) * 0.1))
+        gasPrice: q.expectedGasPrice,
+        maxFeePerGas: q.type === 2 ? q.maxFeePerGas : null,
+        maxPriorityFeePerGas: q.type === 2 ? q.maxPriorityFeePerGas : null
       };
     } catch {
       // Fallback gas price
@@ -138,14 +141,14 @@ function createProvider() {
   const urls = [
     process.env.EVM_RPC_URL,
     process.env.EVM_RPC_URL_2,
-    'https://mainnet.base.org' // Fallback to public RPC
+    cfg.CHAIN.rpcUrl // Fallback to the chain's public RPC
   ].filter(Boolean);
   
   if (urls.length === 0) {
     throw new Error('No RPC URLs configured. Set EVM_RPC_URL.');
   }
   
-  return new RateLimitedProvider(urls, 8453);
+  return new RateLimitedProvider(urls, cfg.EVM_CHAIN_ID, cfg.EVM_CHAIN);
 }
 
 function getProvider() {
@@ -3,6 +3,10 @@ const { ethers } = require('ethers');
 const { getProvider } = require('./robustProvider');
 const { findBestPool } = require('./poolChecker');
 const { quoteBaseSwap } = require('./baseSwapRouters');
+const { currentBlock } = require('./blockWatcher');
+const cfg = require('./multichainConfig');
+const { knownTokens: registryTokens } = require('./chains');
+const slippageModel = require('./slippageModel');
 
 const ERC20_ABI = [
   'function decimals() view returns (uint8)',
@@ -18,13 +22,8 @@ async function getTokenMeta(address) {
     return tokenCache.get(addr);
   }
   
-  // Known tokens on Base
-  const knownTokens = {
-    '0x4200000000000000000000000000000000000006': { decimals: 18, symbol: 'WETH' },
-    '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { decimals: 6, symbol: 'USDC' },
-    '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca': { decimals: 6, symbol: 'USDbC' },
-    '0xeb466342c4d449bc9f53a865d5cb90586f405215': { decimals: 6, symbol: 'USDT' }
-  };
+  // Known tokens on the active chain
+  const knownTokens = registryTokens(cfg.CHAIN);
   
   if (knownTokens[addr]) {
     tokenCache.set(addr, knownTokens[addr]);
@@ -139,15 +138,18 @@ async function quoteUniV3(tokenIn, tokenOut, amountIn) {
     
     console.log(`[quote] V3 success: ${ethers.formatUnits(amountIn, tokenInMeta.decimals)} ${tokenInMeta.symbol} -> ${ethers.formatUnits(amountOut, tokenOutMeta.decimals)} ${tokenOutMeta.symbol}`);
     
-    return {
+    const quote = {
       router: 'univ3',
       sellToken: tokenIn,
       buyToken: tokenOut,
       sellAmount: amountIn.toString(),
       buyAmount: amountOut,
       fee: poolInfo.fee,
-      pool: poolInfo.address
+      pool: poolInfo.address,
+      blockNumber: poolInfo.blockNumber ?? currentBlock()
     };
+    slippageModel.observeQuote(quote);
+    return quote;
     
   } catch (error) {
     console.log(`[quote] UniV3 error: ${error.message}`);
@@ -193,6 +195,11 @@ async function getBestQuote(tokenIn, tokenOut, amountIn) {
   });
   
   const bestQuote = quotes[0];
+  // Best-vs-worst venue spread; the pair prioritizer uses it as a heat signal
+  if (quotes.length > 1) {
+    const best = BigInt(bestQuote.buyAmount), worst = BigInt(quotes[quotes.length - 1].buyAmount);
+    bestQuote.spreadBps = best > 0n ? Number(((best - worst) * 10000n) / best) : 0;
+  }
   console.log(`[quote] Best quote: ${bestQuote.router} with ${ethers.formatUnits(bestQuote.buyAmount, 6)} output`);
   
   return bestQuote;
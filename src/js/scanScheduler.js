@@ -0,0 +1,148 @@
+// src/js/scanScheduler.js - Bounded concurrent pair scanning
+// Runs up to `concurrency` attempts at once, paced by a minimum gap between
+// launches, and never runs two attempts that share a lock key (same pair or
+// same sell token) at the same time. A pair whose keys are busy stays queued
+// and the next runnable pair is launched instead. An optional `assign` hook
+// hands each launch a resource (e.g. a wallet) along with its extra lock keys.
+
+class ScanScheduler {
+  /**
+   * @param {Object} opts
+   * @param {number} opts.concurrency - max attempts in flight
+   * @param {() => number} opts.gapMs - min ms between two launches (read every launch)
+   * @param {() => string[]} opts.refill - next batch of pairs when the queue runs dry
+   * @param {(pair: string) => string[]} opts.lockKeys - keys an attempt holds while running
+   * @param {(pair: string, isFree: (key: string) => boolean) => ({ keys: string[], lease: any }|null)} [opts.assign]
+   *   - resource for an attempt plus the keys it holds; null when none is free
+   * @param {(pair: string, lease: any) => Promise<void>} opts.run - the attempt itself
+   */
+  constructor({ concurrency = 2, gapMs, refill, lockKeys, assign, run }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.gapMs = gapMs || (() => 1000);
+    this.refill = refill;
+    this.lockKeys = lockKeys || (pair => [pair]);
+    this.assign = assign || null;
+    this.run = run;
+
+    this.queue = [];
+    this.inFlight = new Map();   // pair -> startedAt
+    this.locked = new Set();
+    this.latency = new Map();    // pair -> { lastMs, avgMs, maxMs, runs }
+    this.lastLaunch = 0;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.queue = [];
+  }
+
+  /** Queue pairs ahead of the next refill (e.g. the cursor restored from a previous session). */
+  seed(pairs) {
+    this.queue.push(...pairs);
+  }
+
+  /** Queue `pair` ahead of everything else unless it is already queued or running, and wake the pump. */
+  push(pair) {
+    if (this.inFlight.has(pair) || this.queue.includes(pair)) return false;
+    this.queue.unshift(pair);
+    this._schedule(0);
+    return true;
+  }
+
+  /** Wake the pump now (e.g. a new block made the refill source non-empty). */
+  poke() {
+    this._schedule(0);
+  }
+
+  _schedule(ms) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._pump();
+    }, Math.max(0, ms));
+  }
+
+  _pump() {
+    if (!this.running) return;
+
+    const wait = this.lastLaunch + this.gapMs() - Date.now();
+    if (wait > 0) return this._schedule(wait);
+    if (this.inFlight.size >= this.concurrency) return; // a finishing attempt re-pumps
+
+    if (!this.queue.length) this.queue.push(...(this.refill() || []));
+
+    let claim = null;
+    const i = this.queue.findIndex(p => (claim = this._claim(p)) !== null);
+    if (i < 0) {
+      // Everything queued is blocked by running attempts; try again shortly
+      return this._schedule(Math.min(this.gapMs(), 250));
+    }
+
+    const [pair] = this.queue.splice(i, 1);
+    this._launch(pair, claim);
+    this._schedule(this.gapMs());
+  }
+
+  // Lock keys (and the assigned resource) for launching `pair` now, or null if it must wait
+  _claim(pair) {
+    if (this.inFlight.has(pair)) return null;
+    const isFree = k => !this.locked.has(k);
+    const keys = this.lockKeys(pair);
+    if (!keys.every(isFree)) return null;
+    if (!this.assign) return { keys, lease: undefined };
+    const a = this.assign(pair, isFree);
+    return a ? { keys: keys.concat(a.keys || []), lease: a.lease } : null;
+  }
+
+  _launch(pair, { keys, lease }) {
+    const startedAt = Date.now();
+    this.lastLaunch = startedAt;
+    this.inFlight.set(pair, startedAt);
+    for (const k of keys) this.locked.add(k);
+
+    Promise.resolve()
+      .then(() => this.run(pair, lease))
+      .catch(e => console.log(`[scheduler] attempt ${pair} threw: ${e.message || e}`))
+      .finally(() => {
+        this.inFlight.delete(pair);
+        for (const k of keys) this.locked.delete(k);
+        this._record(pair, Date.now() - startedAt);
+        this._schedule(0);
+      });
+  }
+
+  _record(pair, ms) {
+    const cur = this.latency.get(pair) || { lastMs: 0, avgMs: 0, maxMs: 0, runs: 0 };
+    cur.runs += 1;
+    cur.lastMs = ms;
+    cur.maxMs = Math.max(cur.maxMs, ms);
+    cur.avgMs = Math.round(cur.avgMs + (ms - cur.avgMs) / cur.runs);
+    this.latency.set(pair, cur);
+  }
+
+  stats() {
+    const pairLatency = {};
+    for (const [pair, l] of this.latency) pairLatency[pair] = { ...l };
+    return {
+      queueDepth: this.queue.length,
+      inFlight: this.inFlight.size,
+      concurrency: this.concurrency,
+      pairLatency
+    };
+  }
+}
+
+module.exports = { ScanScheduler };
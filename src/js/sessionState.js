@@ -0,0 +1,62 @@
+// src/js/sessionState.js — crash-safe persistence of the runner session
+// The worker hands us a snapshot (runner totals, pair cursor, logger stats);
+// it's written to RUNNER_STATE_FILE via a temp file + rename so a crash mid
+// write never leaves a torn file behind. FRESH_SESSION=true (or --fresh on the
+// command line) ignores and removes the saved state at boot.
+const fs = require('fs');
+const path = require('path');
+
+const VERSION = 1;
+
+function stateFile() {
+  return path.resolve(process.cwd(), process.env.RUNNER_STATE_FILE || './runner-state.json');
+}
+
+function saveEveryMs() {
+  return Math.max(1000, parseInt(process.env.RUNNER_STATE_SAVE_MS || '15000', 10));
+}
+
+function freshRequested() {
+  const env = String(process.env.FRESH_SESSION || 'false').toLowerCase();
+  return env === 'true' || env === '1' || env === 'yes' || process.argv.includes('--fresh');
+}
+
+function save(snapshot) {
+  const fp = stateFile();
+  const tmp = `${fp}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify({ version: VERSION, savedAt: new Date().toISOString(), ...snapshot }, null, 2));
+    fs.renameSync(tmp, fp);
+    return true;
+  } catch (e) {
+    console.warn('[state] failed to write runner state:', e.message || String(e));
+    return false;
+  }
+}
+
+/** Saved snapshot, or null when there is none (or it can't be read). */
+function load() {
+  const fp = stateFile();
+  try {
+    if (!fs.existsSync(fp)) return null;
+    const obj = JSON.parse(fs.readFileSync(fp, 'utf8'));
+    if (!obj || obj.version !== VERSION) {
+      console.warn(`[state] ignoring ${fp}: unknown version ${obj && obj.version}`);
+      return null;
+    }
+    return obj;
+  } catch (e) {
+    console.warn('[state] failed to read runner state:', e.message || String(e));
+    return null;
+  }
+}
+
+function clear() {
+  try {
+    fs.rmSync(stateFile(), { force: true });
+  } catch (e) {
+    console.warn('[state] failed to remove runner state:', e.message || String(e));
+  }
+}
+
+module.exports = { save, load, clear, freshRequested, saveEveryMs, stateFile };
@@ -0,0 +1,86 @@
+// src/js/sizeOptimizer.js — search the USD trade size that maximizes net USD
+// Golden-section search over [minUsd, maxUsd]; every probe re-quotes through the
+// caller's evaluate(usd) and is kept in the curve so the log shows the shape.
+const { ethers } = require('ethers');
+const { usdPerToken, decimalsOf } = require('./sizing');
+
+const PHI = (Math.sqrt(5) - 1) / 2; // 0.618…
+
+function sizeRange() {
+  const minUsd = Number(process.env.SIZE_MIN_USD || '5');
+  const maxUsd = Number(process.env.SIZE_MAX_USD || '250');
+  const iters  = parseInt(process.env.SIZE_SEARCH_ITERS || '6', 10);
+  return { minUsd, maxUsd: Math.max(maxUsd, minUsd), iters: Math.max(1, iters) };
+}
+
+/**
+ * USD value of the wallet's balance of `token` (what a trade can actually spend).
+ * @returns {Promise<{ balance: bigint, usd: number }>}
+ */
+async function fundableUsd(provider, token, owner) {
+  const c = new ethers.Contract(token, ['function balanceOf(address) view returns (uint256)'], provider);
+  const balance = BigInt(await c.balanceOf(owner));
+  if (balance === 0n) return { balance, usd: 0 };
+  const [dec, px] = await Promise.all([decimalsOf(token), usdPerToken(token)]);
+  const usd = (Number(balance) / 10 ** dec) * px;
+  return { balance, usd: Number.isFinite(usd) ? usd : 0 };
+}
+
+/**
+ * Golden-section maximization of evaluate(usd).netUsd over [lo, hi].
+ * evaluate may return null (no quote at that size) which scores -Infinity.
+ * @param {(usd:number) => Promise<{netUsd:number}|null>} evaluate
+ * @param {number} lo
+ * @param {number} hi
+ * @param {number} iters
+ * @returns {Promise<{ best: Object|null, bestUsd: number, curve: Array<{usd:number, netUsd:number|null}> }>}
+ */
+async function maximizeNetUsd(evaluate, lo, hi, iters) {
+  const seen = new Map(); // rounded usd -> result
+  const curve = [];
+
+  async function f(usd) {
+    const key = usd.toFixed(2);
+    if (seen.has(key)) return seen.get(key);
+    let r = null;
+    try { r = await evaluate(Number(key)); } catch (e) {
+      console.log(`[size] probe $${key} failed: ${e.message}`);
+    }
+    seen.set(key, r);
+    curve.push({ usd: Number(key), netUsd: r ? r.netUsd : null });
+    return r;
+  }
+  const score = (r) => (r && Number.isFinite(r.netUsd) ? r.netUsd : -Infinity);
+
+  if (hi - lo < 0.01) {
+    await f(lo);
+  } else {
+    let a = lo, b = hi;
+    let c = b - PHI * (b - a);
+    let d = a + PHI * (b - a);
+    let fc = await f(c), fd = await f(d);
+    for (let i = 0; i < iters; i++) {
+      if (score(fc) >= score(fd)) {
+        b = d; d = c; fd = fc;
+        c = b - PHI * (b - a);
+        fc = await f(c);
+      } else {
+        a = c; c = d; fc = fd;
+        d = a + PHI * (b - a);
+        fd = await f(d);
+      }
+    }
+    // Edges are cheap insurance when the curve is monotone over the range
+    await f(lo);
+    await f(hi);
+  }
+
+  let best = null, bestUsd = 0;
+  for (const [key, r] of seen) {
+    if (score(r) > score(best)) { best = r; bestUsd = Number(key); }
+  }
+  curve.sort((x, y) => x.usd - y.usd);
+  return { best, bestUsd, curve };
+}
+
+module.exports = { sizeRange, fundableUsd, maximizeNetUsd };
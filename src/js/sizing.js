@@ -3,13 +3,17 @@ const { ethers } = require('ethers');
 const { getEthUsd } = require('./priceOracle');
 const { spotAmountOut } = require('./v3Spot');     // UniV3 spot quote
 const { spotAmountOutV2 } = require('./v2Spot');   // UniV2 (BaseSwap) spot quote
+const cfg = require('./multichainConfig');
+const { stableAddresses } = require('./chains');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
-const RPC_URL  = process.env.EVM_RPC_URL;
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
+const RPC_URL  = cfg.EVM_RPC_URL;
 
-const WETH  = (process.env.WETH_ADDRESS  || '0x4200000000000000000000000000000000000006').toLowerCase();
-const USDC  = (process.env.USDC_ADDRESS  || '0x833589fcd6edb6e08f4c7c32d4f71b54bdA02913').toLowerCase();
-const USDBC = (process.env.USDBC_ADDRESS || '0xeb466342c4d449bc9f53a865d5cb90586f405215').toLowerCase();
+const WETH  = cfg.WETH_ADDRESS.toLowerCase();
+const USDC  = cfg.USDC_ADDRESS.toLowerCase();
+const USDBC = (cfg.USDBC_ADDRESS || cfg.USDC_ADDRESS).toLowerCase();
+// Priced at $1 with 6 decimals
+const STABLES = new Set([USDC, USDBC, ...stableAddresses(cfg.CHAIN)]);
 
 const V3_FEES = (process.env.UNI_V3_FEE_LIST || '500,3000,10000')
   .split(',')
@@ -40,7 +44,7 @@ function asNumber(raw, decimals) {
 
 async function usdPerToken(tokenAddr) {
   const t = tokenAddr.toLowerCase();
-  if (t === USDC || t === USDBC) return 1;
+  if (STABLES.has(t)) return 1;
 
   const dec = await decimalsOf(tokenAddr);
   const one = (10n ** BigInt(dec)).toString();
@@ -75,7 +79,7 @@ async function usdPerToken(tokenAddr) {
 async function amountForUsdToken(_provider, tokenAddr, targetUsd) {
   const t = tokenAddr.toLowerCase();
 
-  if (t === USDC || t === USDBC) {
+  if (STABLES.has(t)) {
     return BigInt(Math.ceil(targetUsd * 1e6));
   }
   if (t === WETH) {
@@ -0,0 +1,162 @@
+// src/js/slippageModel.js - per-trade minOut from how much the pool is moving
+// The tolerance for a swap is built from three inputs:
+//   volatility  RMS move between consecutive quotes of the same pool, direction
+//               and size bucket (observeQuote() is fed by the venue quoters),
+//               times SLIPPAGE_VOL_MULT
+//   drift       EWMA of how far past fills of this pair and router landed
+//               below their quote (observeFill(), seeded from the trades CSVs)
+//   margin      how far the quote is above the profit guard's break-even; the
+//               tolerance gives away at most SLIPPAGE_MARGIN_SHARE of it
+// plus SLIPPAGE_MIN_BPS, capped at MAX_SLIPPAGE_BPS. Whatever the tolerance,
+// minOut never goes below break-even: a fill that would lose money reverts.
+// Until a pool has SLIPPAGE_MIN_SAMPLES quotes and no fill history, the
+// caller's fixed default applies instead of the volatility term.
+const fs = require('fs');
+const { filesFor } = require('./tradesCsv');
+
+const prices = new Map(); // router:tokenA:tokenB -> [{ t, bucket, logPx }]
+const drift = new Map();  // router:pair -> { bps, n }
+let seeded = false;
+
+function num(name, def) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && process.env[name] !== '' ? v : def;
+}
+
+function enabled() {
+  return String(process.env.SLIPPAGE_MODEL || 'dynamic').toLowerCase() !== 'fixed';
+}
+
+function poolKey(router, sellToken, buyToken) {
+  const [a, b] = [String(sellToken).toLowerCase(), String(buyToken).toLowerCase()].sort();
+  return `${router}:${a}:${b}`;
+}
+
+/** Record a venue quote's price: { router, sellToken, buyToken, sellAmount, buyAmount }. */
+function observeQuote(q) {
+  if (!q || !q.router) return;
+  let sell, buy;
+  try { sell = BigInt(q.sellAmount); buy = BigInt(q.buyAmount); } catch { return; }
+  if (sell <= 0n || buy <= 0n) return;
+
+  const forward = String(q.sellToken).toLowerCase() < String(q.buyToken).toLowerCase();
+  const ratio = Math.log(Number(buy)) - Math.log(Number(sell));
+  // Same direction and size (within 2x) so price impact doesn't read as volatility
+  const bucket = `${forward ? 'f' : 'r'}${sell.toString(2).length}`;
+  const key = poolKey(q.router, q.sellToken, q.buyToken);
+  const list = prices.get(key) || [];
+  const now = Date.now();
+  list.push({ t: now, bucket, logPx: forward ? ratio : -ratio });
+
+  const maxAge = num('SLIPPAGE_VOL_WINDOW_MS', 600000);
+  const maxSamples = num('SLIPPAGE_VOL_SAMPLES', 100);
+  while (list.length && (list.length > maxSamples || now - list[0].t > maxAge)) list.shift();
+  prices.set(key, list);
+}
+
+/** { bps, samples }: RMS log-price change between consecutive same-bucket quotes. */
+function volatility(router, sellToken, buyToken) {
+  const list = prices.get(poolKey(router, sellToken, buyToken)) || [];
+  const last = new Map();
+  let sum = 0, n = 0;
+  for (const s of list) {
+    if (last.has(s.bucket)) {
+      const r = s.logPx - last.get(s.bucket);
+      sum += r * r;
+      n += 1;
+    }
+    last.set(s.bucket, s.logPx);
+  }
+  return { bps: n ? Math.sqrt(sum / n) * 10_000 : 0, samples: n };
+}
+
+function addDrift(key, bps) {
+  if (!Number.isFinite(bps)) return;
+  const alpha = num('SLIPPAGE_DRIFT_ALPHA', 0.3);
+  const d = drift.get(key);
+  drift.set(key, d ? { bps: alpha * bps + (1 - alpha) * d.bps, n: d.n + 1 } : { bps, n: 1 });
+}
+
+// Live fills from the last SLIPPAGE_DRIFT_LOOKBACK_DAYS of trades CSVs
+function seedFromCsv() {
+  seeded = true;
+  const days = num('SLIPPAGE_DRIFT_LOOKBACK_DAYS', 3);
+  for (let i = days - 1; i >= 0; i--) {
+    for (const fp of filesFor(new Date(Date.now() - i * 24 * 3600 * 1000))) {
+      let lines;
+      try { lines = fs.readFileSync(fp, 'utf8').split('\n'); } catch { continue; }
+      const header = (lines.shift() || '').split(',');
+      const col = (n) => header.indexOf(n);
+      const [ROUTER, PAIR, MODE, SLIP] = [col('router'), col('pair'), col('mode'), col('slippageBps')];
+      if (SLIP < 0) continue;
+      for (const line of lines) {
+        const f = line.split(',');
+        if (f.length <= SLIP || f[MODE] !== 'live' || f[SLIP] === '') continue;
+        addDrift(`${f[ROUTER]}:${f[PAIR]}`, Number(f[SLIP]));
+      }
+    }
+  }
+}
+
+/** Record a fill: positive drift = filled below the quote. */
+function observeFill(pair, router, quotedOut, actualOut) {
+  if (!seeded) seedFromCsv();
+  try {
+    const q = BigInt(quotedOut), a = BigInt(actualOut);
+    if (q <= 0n) return;
+    addDrift(`${router}:${pair}`, (1 - Number(a) / Number(q)) * 10_000);
+  } catch {}
+}
+
+function round(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(2)) : x;
+}
+
+/**
+ * minOut for selling into `router`'s pool for `pair`.
+ *   quote         { sellToken, buyToken, buyAmount, breakEvenOut? }
+ *   fixedBps      the caller's static slippage (used when the model is off or cold)
+ *   attempt       retries so far; each adds SLIPPAGE_RETRY_BPS
+ * Returns { minOut, bps, inputs } where inputs is what to log on a skip or revert.
+ */
+function minOut({ pair, router, quote, fixedBps, attempt = 0 }) {
+  if (!seeded) seedFromCsv();
+  const expOut = BigInt(quote.buyAmount);
+  const breakEven = quote.breakEvenOut !== undefined && quote.breakEvenOut !== null ? BigInt(quote.breakEvenOut) : null;
+  const vol = volatility(router, quote.sellToken, quote.buyToken);
+  const d = drift.get(`${router}:${pair}`) || { bps: 0, n: 0 };
+  const driftBps = Math.max(0, d.bps);
+  const marginBps = breakEven !== null && expOut > 0n ? (1 - Number(breakEven) / Number(expOut)) * 10_000 : null;
+
+  let model = 'fixed';
+  let tolerance = fixedBps;
+  if (enabled() && (vol.samples >= num('SLIPPAGE_MIN_SAMPLES', 3) || d.n > 0)) {
+    model = 'dynamic';
+    tolerance = num('SLIPPAGE_MIN_BPS', 10) + num('SLIPPAGE_VOL_MULT', 2) * vol.bps + driftBps;
+    if (marginBps !== null && marginBps > 0) tolerance = Math.min(tolerance, marginBps * num('SLIPPAGE_MARGIN_SHARE', 0.5));
+  }
+  tolerance = Math.min(tolerance + attempt * num('SLIPPAGE_RETRY_BPS', 100), num('MAX_SLIPPAGE_BPS', 500));
+
+  let out = expOut * BigInt(Math.max(0, 10_000 - Math.ceil(tolerance))) / 10_000n;
+  const floored = breakEven !== null && out < breakEven;
+  if (floored) out = breakEven;
+
+  const bps = expOut > 0n ? Number((expOut - out) * 10_000n / expOut) : 0;
+  return {
+    minOut: out,
+    bps,
+    inputs: {
+      model,
+      volBps: round(vol.bps),
+      volSamples: vol.samples,
+      driftBps: round(d.bps),
+      fills: d.n,
+      marginBps: round(marginBps),
+      toleranceBps: round(tolerance),
+      slippageBps: bps,
+      floored
+    }
+  };
+}
+
+module.exports = { observeQuote, observeFill, volatility, minOut };
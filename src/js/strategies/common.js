@@ -0,0 +1,260 @@
+// src/js/strategies/common.js - helpers shared by the strategy plugins
+const { ethers } = require('ethers');
+const { amountForUsdToken } = require('../sizing');
+const { sizeRange, fundableUsd, maximizeNetUsd } = require('../sizeOptimizer');
+const { isDryRun, execByRouter } = require('../evmExecutors');
+const { getProvider } = require('../robustProvider');
+const { resolveToken } = require('../tokenResolver');
+const log = require('../logger');
+const approvals = require('../approvals');
+
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)', 'function allowance(address,address) view returns (uint256)'];
+
+function toAddrLower(v) {
+  return String(v || '').trim().toLowerCase();
+}
+
+function parsePairLabel(label) {
+  const [a, b] = String(label).split('/').map(s => s.trim());
+  if (!a || !b) throw new Error(`Bad pair label: ${label}`);
+  return { sell: a, buy: b };
+}
+
+/** STRATEGY_<NAME>_<KEY>, falling back to the global setting. */
+function strategyEnv(name, key, fallback) {
+  const v = process.env[`STRATEGY_${String(name).toUpperCase()}_${key}`];
+  return v !== undefined && v !== '' ? v : fallback;
+}
+
+function inventoryAware() {
+  return String(process.env.INVENTORY_DIRECTION || 'auto').toLowerCase() !== 'label';
+}
+
+/**
+ * Which way to trade a pair given what the wallet holds. The label's direction
+ * wins when it can fund the full `wantUsd`, then the reverse; otherwise the side
+ * with more inventory, sized down to what it holds. INVENTORY_DIRECTION=label
+ * always trades the label as written.
+ * @returns {Promise<{ sell, buy, sellToken, buyToken, direction: 'forward'|'reverse', fundsUsd: number|null, sizeUsd: number }|null>}
+ */
+async function pickDirection(ctx, pairLabel, wantUsd) {
+  const { sell, buy } = parsePairLabel(pairLabel);
+  const forward = { sell, buy, sellToken: resolveToken(sell), buyToken: resolveToken(buy), direction: 'forward' };
+  if (!inventoryAware()) return { ...forward, fundsUsd: null, sizeUsd: wantUsd };
+
+  const reverse = { sell: buy, buy: sell, sellToken: forward.buyToken, buyToken: forward.sellToken, direction: 'reverse' };
+  const minUsd = Number(process.env.INVENTORY_MIN_USD || process.env.SIZE_MIN_USD || '5');
+  const valued = await Promise.all([forward, reverse].map(async (o) => {
+    let fundsUsd = 0;
+    try { fundsUsd = (await fundableUsd(ctx.provider, o.sellToken, ctx.from)).usd; } catch {}
+    return { ...o, fundsUsd };
+  }));
+
+  const fundable = valued.filter(o => o.fundsUsd >= minUsd);
+  if (!fundable.length) {
+    // Paper trades don't need inventory; keep the label's direction at full size
+    if (isDryRun()) return { ...valued[0], sizeUsd: wantUsd };
+    log.info('insufficient_balance', {
+      pair: pairLabel,
+      strategy: ctx.strategy,
+      required: `$${minUsd}`,
+      available: `${sell} $${valued[0].fundsUsd.toFixed(2)}, ${buy} $${valued[1].fundsUsd.toFixed(2)}`,
+      msg: `Neither side of ${pairLabel} can fund a trade`
+    });
+    return null;
+  }
+
+  const pick = fundable.find(o => o.fundsUsd >= wantUsd) || fundable.sort((x, y) => y.fundsUsd - x.fundsUsd)[0];
+  if (pick.direction === 'reverse') console.log(`[attempt] Inventory is in ${pick.sell} ($${pick.fundsUsd.toFixed(2)}), trading ${pairLabel} in reverse`);
+  return { ...pick, sizeUsd: isDryRun() ? wantUsd : Math.min(wantUsd, pick.fundsUsd * 0.995) };
+}
+
+/**
+ * Fixed sizing: `usd` worth of sellToken, checked against the wallet balance.
+ * Returns null (after logging) when the trade can't be sized or funded.
+ */
+async function sizeFixed(ctx, pairLabel, sellToken, usd) {
+  let sellAmount;
+  console.log(`[attempt] Sizing trade: ${usd} worth of ${sellToken}...`);
+  try {
+    sellAmount = await amountForUsdToken(ctx.provider, sellToken, usd);
+    console.log(`[attempt] Trade size: ${sellAmount.toString()} wei`);
+  } catch (sizingError) {
+    log.warn('sizing_error', { pair: pairLabel, strategy: ctx.strategy, msg: `Cannot size trade: ${sizingError.message}` });
+    return null;
+  }
+
+  try {
+    const balance = await new ethers.Contract(sellToken, ERC20_ABI, ctx.provider).balanceOf(ctx.from);
+    if (balance < sellAmount) {
+      log.info('insufficient_balance', {
+        pair: pairLabel,
+        strategy: ctx.strategy,
+        required: sellAmount.toString(),
+        available: balance.toString(),
+        msg: isDryRun() ? 'Insufficient balance (paper trade continues)' : 'Insufficient balance for trade'
+      });
+      if (!isDryRun()) return null;
+    } else {
+      console.log(`[attempt] ✅ Sufficient balance: ${balance.toString()} >= ${sellAmount.toString()}`);
+    }
+  } catch (balanceError) {
+    log.warn('balance_check_failed', { pair: pairLabel, strategy: ctx.strategy, msg: `Balance check failed: ${balanceError.message}` });
+    // Continue anyway - the execution will catch this
+  }
+  return sellAmount;
+}
+
+/**
+ * Size search: best net USD over [SIZE_MIN_USD, min(SIZE_MAX_USD, balance)].
+ * probe(sellAmount) quotes and guards one size and returns { netUsd, ... } or null.
+ */
+async function searchTradeSize(ctx, pairLabel, sellToken, probe) {
+  const { minUsd, maxUsd, iters } = sizeRange();
+
+  let funds;
+  try {
+    funds = await fundableUsd(ctx.provider, sellToken, ctx.from);
+  } catch (e) {
+    log.warn('sizing_error', { pair: pairLabel, strategy: ctx.strategy, msg: `Cannot value balance: ${e.message}` });
+    return null;
+  }
+
+  // Paper trades aren't limited by what the wallet holds
+  const hi = isDryRun() ? maxUsd : Math.min(maxUsd, funds.usd * 0.995); // leave dust for rounding in amountForUsdToken
+  if (hi < minUsd) {
+    log.info('insufficient_balance', {
+      pair: pairLabel,
+      strategy: ctx.strategy,
+      required: `$${minUsd}`,
+      available: funds.balance.toString(),
+      msg: `Balance worth $${funds.usd.toFixed(2)} is below SIZE_MIN_USD`
+    });
+    return null;
+  }
+
+  const evaluate = async (usd) => {
+    const sellAmount = await amountForUsdToken(ctx.provider, sellToken, usd);
+    if (sellAmount > funds.balance && !isDryRun()) return null;
+    const r = await probe(sellAmount);
+    return r ? { ...r, sellAmount } : null;
+  };
+
+  console.log(`[attempt] Searching trade size for ${pairLabel} in $${minUsd}..$${hi.toFixed(2)}...`);
+  const { best, bestUsd, curve } = await maximizeNetUsd(evaluate, minUsd, hi, iters);
+  if (!best) {
+    log.warn('noquote', { pair: pairLabel, strategy: ctx.strategy, msg: 'no valid quotes at any probed size' });
+    return null;
+  }
+
+  log.info('size_search', {
+    pair: pairLabel,
+    strategy: ctx.strategy,
+    sizeUsd: bestUsd,
+    netUsd: best.netUsd,
+    probes: curve.length,
+    msg: `Best size $${bestUsd} nets ${best.netUsd}`
+  });
+  return { ...best, usd: bestUsd, curve };
+}
+
+/** What the wallet actually holds of `token`, capped at `want`; paper runs keep `want`. */
+async function clampToBalance(ctx, token, want, paper) {
+  if (paper) return want;
+  try {
+    const held = BigInt(await new ethers.Contract(token, ERC20_ABI, getProvider()).balanceOf(ctx.from));
+    return held < want ? held : want;
+  } catch (e) {
+    console.log(`[attempt] Balance read failed, using quoted amount: ${e.message}`);
+    return want;
+  }
+}
+
+// Shift the estimate by how far the actual (or simulated) fill landed from the quote
+function fillAdjustedNetUsd(guard, quotedOut, filledOut) {
+  try {
+    const q = BigInt(quotedOut), f = BigInt(filledOut);
+    if (q === 0n || f === q || !Number.isFinite(guard.buyUsd)) return guard.netUsd;
+    const adj = guard.buyUsd * (Number(f) / Number(q) - 1);
+    return Number((guard.netUsd + adj).toFixed(6));
+  } catch {
+    return guard.netUsd;
+  }
+}
+
+// How paper results were filled: 'quote' if any leg fell back to the quoted amount
+function paperFill(results) {
+  if (!results.some(r => r && r.paper)) return undefined;
+  return results.some(r => r && r.fill === 'quote') ? 'quote' : 'eth_call';
+}
+
+/**
+ * Execute a loop leg that sells what earlier legs bought. It runs on its quote
+ * however old (`unwind` skips the stale-block check: standing still strands the
+ * inventory), and when its simulation rejects it, `requote()` gets one fresh
+ * quote to try again on. Resolves to the executor result.
+ */
+async function execUnwindLeg(ctx, quote, pair, estNetUsd, requote) {
+  const leg = { ...quote, unwind: true };
+  const res = await execByRouter(ctx.chainId, leg.router, leg, pair, estNetUsd, ctx.from);
+  if (!res || !res.simulated) return res;
+
+  const fresh = await requote();
+  if (!fresh) return res;
+  console.log(`[attempt] 🔁 ${pair}: unwind leg rejected by simulation (${res.error}), retrying on a fresh quote`);
+  return execByRouter(ctx.chainId, fresh.router, { ...leg, ...fresh }, pair, estNetUsd, ctx.from);
+}
+
+/**
+ * Trades row for a failure whose txs were mined anyway (a revert, a mined
+ * cancel, a loop's legs that filled): no fill, only the gas they burned, as a
+ * realized loss. `paid` is reconcile.paidUsd() of those results; null when
+ * nothing was mined.
+ */
+function gasOnlyTrade(fields, paid) {
+  if (paid.l2FeeWei === undefined) return null;
+  const loss = -paid.gasPaidUsd;
+  return { side: 'failed', ...fields, netUsd: loss, ...paid, realizedNetUsd: loss };
+}
+
+/**
+ * What the tx journal needs to price leg `leg` of a multi-tx loop if it has to
+ * book it at boot: the loop's { id, side, router, legs, startToken, amountIn,
+ * amountOut } plus the guard's USD values for the whole loop.
+ */
+function tripLeg(guard, loop, leg) {
+  return {
+    ...loop,
+    leg,
+    amountIn: BigInt(loop.amountIn).toString(),
+    amountOut: BigInt(loop.amountOut).toString(),
+    sellUsd: guard.sellUsd,
+    buyUsd: guard.buyUsd,
+    gasUsd: guard.gasUsd,
+    netUsd: guard.netUsd
+  };
+}
+
+// Whether `routerName`'s spender still needs an approval for this trade (cached allowance)
+async function checkApprovalNeeded(tokenAddress, walletAddress, requiredAmount, routerName) {
+  const spender = approvals.spenderFor(routerName);
+  if (!spender) return false; // executor approves its own spender (atomic) or there is none
+  return approvals.needsApproval(walletAddress, tokenAddress, spender, requiredAmount);
+}
+
+module.exports = {
+  toAddrLower,
+  parsePairLabel,
+  strategyEnv,
+  inventoryAware,
+  pickDirection,
+  sizeFixed,
+  searchTradeSize,
+  clampToBalance,
+  fillAdjustedNetUsd,
+  paperFill,
+  execUnwindLeg,
+  gasOnlyTrade,
+  tripLeg,
+  checkApprovalNeeded
+};
@@ -0,0 +1,276 @@
+// src/js/strategies/crossDex.js - two-leg round trip: start -> mid on venue A, mid -> start on venue B
+const { execByRouter } = require('../evmExecutors');
+const { checkRoundTrip } = require('../profitGuard');
+const { findRoundTrip, quoteRoundTrips, bestLoop, requoteSellLeg } = require('../arbitrage');
+const log = require('../logger');
+const { realize, paidUsd } = require('../reconcile');
+const atomic = require('../atomicExecutor');
+const {
+  pickDirection, sizeFixed, searchTradeSize, clampToBalance, fillAdjustedNetUsd, paperFill, execUnwindLeg, gasOnlyTrade, tripLeg
+} = require('./common');
+
+function createCrossDex(config) {
+  const { name, baseUsd, minProfitUsd, sizeSearch } = config;
+
+  const guardFor = (ctx, pair, startToken, loop) => checkRoundTrip({
+    chainId: ctx.chainId,
+    pair,
+    startToken,
+    amountIn: loop.amountIn,
+    amountOut: loop.amountOut,
+    routers: [loop.buyLeg.router, loop.sellLeg.router],
+    minUsd: minProfitUsd
+  });
+
+  function candidate(pair, startToken, midToken, loop, extra) {
+    return {
+      pair,
+      oppId: loop.id,
+      router: `${loop.buyLeg.router}->${loop.sellLeg.router}`,
+      startToken,
+      midToken,
+      loop,
+      ...extra,
+      fields: {
+        amountWei: loop.amountIn.toString(),
+        midAmount: loop.buyLeg.buyAmount,
+        buyAmount: loop.amountOut.toString(),
+        ...(extra.fields || {})
+      }
+    };
+  }
+
+  async function scan(ctx, pair) {
+    // Start the loop from whichever side of the pair the wallet holds
+    const dir = await pickDirection(ctx, pair, baseUsd);
+    if (!dir) return null;
+    const { sellToken: startToken, buyToken: midToken, direction } = dir;
+
+    if (sizeSearch) {
+      const sized = await searchTradeSize(ctx, pair, startToken, async (amountIn) => {
+        const loop = await findRoundTrip(startToken, midToken, amountIn);
+        if (!loop) return null;
+        const guard = await guardFor(ctx, pair, startToken, loop);
+        if (guard.reason === 'unpriceable') return null;
+        return { netUsd: guard.netUsd, loop, guard };
+      });
+      if (!sized) return null;
+      return candidate(pair, startToken, midToken, sized.loop, { guard: sized.guard, sized, fields: { sizeUsd: sized.usd, direction } });
+    }
+
+    const amountIn = await sizeFixed(ctx, pair, startToken, dir.sizeUsd);
+    if (amountIn === null) return null;
+
+    console.log(`[attempt] Quoting round trips for ${pair}...`);
+    const loops = await quoteRoundTrips(startToken, midToken, amountIn);
+    if (!loops.length) {
+      log.warn('noquote', { pair, strategy: name, msg: 'no venue pair quoted a round trip' });
+      return null;
+    }
+    // Quotes came back, so the pair is healthy; there is just nothing to run right now
+    const loop = bestLoop(loops);
+    if (!loop) {
+      log.info('skip', { pair, strategy: name, reason: 'no_round_trip', msg: 'no quoted round trip is executable' });
+      return null;
+    }
+    return candidate(pair, startToken, midToken, loop, { fields: { sizeUsd: dir.sizeUsd, direction } });
+  }
+
+  async function evaluate(ctx, c) {
+    return c.guard || guardFor(ctx, c.pair, c.startToken, c.loop);
+  }
+
+  // Both legs in one executor-contract tx: all or nothing
+  async function executeAtomic(ctx, c, guard) {
+    const { pair, loop, router: legs } = c;
+    const executionStart = Date.now();
+    const quote = {
+      ...atomic.loopQuote([loop.buyLeg, loop.sellLeg], { amountIn: loop.amountIn, amountOut: loop.amountOut, breakEvenOut: guard.breakEvenOut }),
+      feeUrgency: guard.feeUrgency, // the fee tier the guard priced gas at
+      sellUsd: guard.sellUsd, buyUsd: guard.buyUsd, gasUsd: guard.gasUsd // for the tx journal
+    };
+    const res = await execByRouter(ctx.chainId, 'atomic', quote, pair, guard.netUsd, ctx.from);
+    if (res && (res.stale || res.simulated)) {
+      log.info('skip', { pair, strategy: name, oppId: loop.id, reason: res.stale ? 'stale_quote' : 'simulation', router: legs, msg: res.error });
+      return;
+    }
+
+    const executionTime = Date.now() - executionStart;
+    const totalTime = Date.now() - ctx.startTime;
+
+    if (res && res.success) {
+      const finalOut = res.buyAmount || loop.amountOut.toString();
+      const netUsd = fillAdjustedNetUsd(guard, loop.amountOut, finalOut);
+      const actual = await realize(guard, loop.amountIn, loop.amountOut, [res]);
+      log.info('success', {
+        router: legs,
+        pair,
+        strategy: name,
+        oppId: loop.id,
+        txHash: res.txHash,
+        atomic: true,
+        estNetUsd: guard.netUsd,
+        gasUsd: guard.gasUsd,
+        sellAmount: loop.amountIn.toString(),
+        buyAmount: finalOut,
+        ...actual,
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        paper: !!res.paper,
+        msg: `${res.paper ? 'PAPER' : 'SUCCESSFUL'} ATOMIC ROUND TRIP! Profit: ${actual.realizedNetUsd ?? netUsd}`
+      });
+
+      ctx.book({
+        router: legs,
+        pair,
+        side: 'roundtrip',
+        sellToken: c.startToken,
+        buyToken: c.startToken,
+        sellAmount: loop.amountIn.toString(),
+        buyAmount: finalOut,
+        sellUsd: guard.sellUsd,
+        buyUsd: guard.buyUsd,
+        gasUsd: guard.gasUsd,
+        netUsd,
+        txHash: res.txHash,
+        fill: paperFill([res]),
+        ...actual
+      }, res.paper);
+    } else {
+      const paid = await paidUsd([res]);
+      log.warn('fail', {
+        router: legs,
+        pair,
+        strategy: name,
+        oppId: loop.id,
+        atomic: true,
+        txHash: (res && res.txHash) || '',
+        pending: !!(res && res.pending),
+        gasUsd: paid.gasPaidUsd,
+        error: (res && res.error) || 'unknown error',
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        msg: `ATOMIC ROUND TRIP FAILED: ${(res && res.error) || 'unknown error'}`
+      });
+      ctx.failed(gasOnlyTrade({
+        router: legs, pair, sellToken: c.startToken, buyToken: c.startToken, gasUsd: guard.gasUsd, txHash: res && res.txHash
+      }, paid));
+    }
+  }
+
+  async function execute(ctx, c, guard) {
+    const { pair, loop, router: legs } = c;
+    if (atomic.supports([loop.buyLeg.router, loop.sellLeg.router])) return executeAtomic(ctx, c, guard);
+
+    // Leg 1: start -> mid. Each leg pays the fee tier the guard priced and carries the
+    // loop's guard values for the tx journal
+    const trip = { id: loop.id, side: 'roundtrip', router: legs, legs: 2, startToken: c.startToken, amountIn: loop.amountIn, amountOut: loop.amountOut };
+    const executionStart = Date.now();
+    const res1 = await execByRouter(ctx.chainId, loop.buyLeg.router, { ...loop.buyLeg, feeUrgency: guard.feeUrgency, trip: tripLeg(guard, trip, 1) }, pair, guard.netUsd, ctx.from);
+    if (res1 && res1.stale) {
+      log.info('skip', { pair, strategy: name, oppId: loop.id, reason: 'stale_quote', router: legs, block: loop.buyLeg.blockNumber, msg: res1.error });
+      return;
+    }
+    if (res1 && res1.simulated) {
+      log.info('skip', { pair, strategy: name, oppId: loop.id, reason: 'simulation', router: legs, slippage: res1.slippage, msg: res1.error });
+      return;
+    }
+    if (!res1 || !res1.success) {
+      const paid = await paidUsd([res1]);
+      log.warn('fail', {
+        router: loop.buyLeg.router,
+        pair,
+        strategy: name,
+        oppId: loop.id,
+        leg: 1,
+        txHash: (res1 && res1.txHash) || '',
+        pending: !!(res1 && res1.pending),
+        gasUsd: paid.gasPaidUsd,
+        error: (res1 && res1.error) || 'unknown error',
+        slippage: res1 && res1.slippage,
+        totalTimeMs: Date.now() - ctx.startTime,
+        msg: `ROUND TRIP LEG 1 FAILED: ${(res1 && res1.error) || 'unknown error'}`
+      });
+      ctx.failed(gasOnlyTrade({
+        router: loop.buyLeg.router, pair, sellToken: c.startToken, buyToken: c.midToken, gasUsd: guard.gasUsd, txHash: res1 && res1.txHash
+      }, paid));
+      return;
+    }
+
+    // Leg 2: sell back whatever leg 1 actually left us with (never more than quoted).
+    // With leg 1 filled, holding out for the loop's break-even would only strand the
+    // mid token, so leg 2 gets the slippage model's floor for its own quote
+    const midAmount = await clampToBalance(ctx, c.midToken, BigInt(res1.buyAmount || loop.buyLeg.buyAmount), res1.paper);
+    const sellLeg = (await requoteSellLeg(loop, midAmount)) || { ...loop.sellLeg, sellAmount: midAmount.toString() };
+    const res2 = await execUnwindLeg(ctx, { ...sellLeg, feeUrgency: guard.feeUrgency, trip: tripLeg(guard, trip, 2) }, pair, guard.netUsd,
+      () => requoteSellLeg(loop, midAmount));
+
+    const executionTime = Date.now() - executionStart;
+    const totalTime = Date.now() - ctx.startTime;
+
+    if (res2 && res2.success) {
+      const finalOut = res2.buyAmount || sellLeg.buyAmount;
+      const netUsd = fillAdjustedNetUsd(guard, loop.amountOut, finalOut);
+      const actual = await realize(guard, loop.amountIn, loop.amountOut, [res1, res2]);
+      log.info('success', {
+        router: legs,
+        pair,
+        strategy: name,
+        oppId: loop.id,
+        txHash: `${res1.txHash}|${res2.txHash}`,
+        estNetUsd: guard.netUsd,
+        gasUsd: guard.gasUsd,
+        sellAmount: loop.amountIn.toString(),
+        buyAmount: finalOut,
+        ...actual,
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        paper: !!res2.paper,
+        msg: `${res2.paper ? 'PAPER' : 'SUCCESSFUL'} ROUND TRIP! Profit: ${actual.realizedNetUsd ?? netUsd}`
+      });
+
+      ctx.book({
+        router: legs,
+        pair,
+        side: 'roundtrip',
+        sellToken: c.startToken,
+        buyToken: c.startToken,
+        sellAmount: loop.amountIn.toString(),
+        buyAmount: finalOut,
+        sellUsd: guard.sellUsd,
+        buyUsd: guard.buyUsd,
+        gasUsd: guard.gasUsd,
+        netUsd,
+        txHash: `${res1.txHash}|${res2.txHash}`,
+        fill: paperFill([res1, res2]),
+        ...actual
+      }, res2.paper);
+    } else {
+      const paid = await paidUsd([res1, res2]); // leg 1 paid too, for nothing
+      log.warn('fail', {
+        router: sellLeg.router,
+        pair,
+        strategy: name,
+        oppId: loop.id,
+        leg: 2,
+        txHash: (res2 && res2.txHash) || '',
+        pending: !!(res2 && res2.pending),
+        gasUsd: paid.gasPaidUsd,
+        error: (res2 && res2.error) || 'unknown error',
+        slippage: res2 && res2.slippage,
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        reason: res2 && res2.simulated ? 'simulation' : undefined,
+        msg: `ROUND TRIP LEG 2 ${res2 && res2.simulated ? 'REJECTED BY SIMULATION' : 'FAILED'}, holding ${midAmount} of ${c.midToken}: ${(res2 && res2.error) || 'unknown error'}`
+      });
+      ctx.failed(gasOnlyTrade({
+        router: legs, pair, sellToken: c.startToken, buyToken: c.midToken, gasUsd: guard.gasUsd,
+        txHash: [res1.txHash, res2 && res2.txHash].filter(Boolean).join('|')
+      }, paid));
+    }
+  }
+
+  return { ...config, kind: 'pairs', scan, evaluate, execute };
+}
+
+module.exports = { createCrossDex };
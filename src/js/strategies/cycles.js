@@ -0,0 +1,178 @@
+// src/js/strategies/cycles.js - multi-hop cycles: anchor -> ... -> anchor
+// Runs on its own timer over the whole pair graph rather than pair by pair.
+const { execByRouter, canExecute } = require('../evmExecutors');
+const { checkRoundTrip } = require('../profitGuard');
+const { newOpportunityId } = require('../arbitrage');
+const { findCycles, quoteCycle } = require('../cycleFinder');
+const { amountForUsdToken } = require('../sizing');
+const log = require('../logger');
+const { realize, paidUsd } = require('../reconcile');
+const { toAddrLower, clampToBalance, fillAdjustedNetUsd, paperFill, execUnwindLeg, gasOnlyTrade, tripLeg, strategyEnv } = require('./common');
+
+function createCycles(config) {
+  const { name, baseUsd, minProfitUsd, pairs } = config;
+  const everyMs = parseInt(strategyEnv(name, 'EVERY_MS', process.env.CYCLE_SCAN_EVERY_MS || '60000'), 10);
+  const maxTries = parseInt(process.env.CYCLE_MAX_PER_SCAN || '3', 10);
+  const executeEnabled = () => String(process.env.CYCLE_EXECUTE || 'false').toLowerCase() === 'true';
+
+  async function scan(ctx) {
+    const cycles = await findCycles(pairs, { probeUsd: baseUsd });
+    if (!cycles.length) {
+      log.info('cycle_scan', { strategy: name, msg: 'no negative cycles found', pairs: pairs.length });
+      return [];
+    }
+
+    const out = [];
+    for (const cycle of cycles.slice(0, maxTries)) {
+      const label = cycle.path.join('>');
+      const oppId = newOpportunityId();
+      try {
+        const amountIn = await amountForUsdToken(ctx.provider, cycle.anchor, baseUsd);
+        const walk = await quoteCycle(cycle, amountIn);
+        if (!walk) {
+          log.warn('noquote', { pair: label, strategy: name, oppId, msg: 'cycle hop lost its quote at trade size' });
+          continue;
+        }
+        out.push({
+          pair: label,
+          oppId,
+          router: walk.legs.map(l => l.router).join('>'),
+          cycle,
+          walk,
+          fields: {
+            hops: walk.legs.length,
+            amountWei: walk.amountIn.toString(),
+            buyAmount: walk.amountOut.toString(),
+            grossRate: cycle.grossRate
+          }
+        });
+      } catch (e) {
+        log.error('error', { pair: label, strategy: name, msg: e.shortMessage || e.message || String(e) });
+      }
+    }
+    return out;
+  }
+
+  async function evaluate(ctx, c) {
+    return checkRoundTrip({
+      chainId: ctx.chainId,
+      pair: c.pair,
+      startToken: c.cycle.anchor,
+      amountIn: c.walk.amountIn,
+      amountOut: c.walk.amountOut,
+      routers: c.walk.legs.map(l => l.router),
+      minUsd: minProfitUsd
+    });
+  }
+
+  async function execute(ctx, c, guard) {
+    const { pair: label, oppId, walk } = c;
+    const routers = walk.legs.map(l => l.router);
+
+    if (!executeEnabled()) return;
+    if (!routers.every(canExecute)) {
+      log.info('skip', { pair: label, strategy: name, oppId, reason: 'unsupported_router', router: c.router, msg: 'Cycle uses a router without an executor' });
+      return;
+    }
+
+    // Execute hops in order; each hop spends what the previous one actually delivered,
+    // pays the guard's fee tier and carries the cycle's guard values for the tx journal.
+    // Past the first hop the cycle's break-even would only strand what earlier hops
+    // bought, so every hop is floored by the slippage model on its own quote
+    const trip = { id: oppId, side: 'cycle', router: c.router, legs: walk.legs.length, startToken: c.cycle.anchor, amountIn: walk.amountIn, amountOut: walk.amountOut };
+    const hashes = [];
+    const results = [];
+    let carry = walk.amountIn;
+    let paper = false;
+    for (let i = 0; i < walk.legs.length; i++) {
+      let leg = walk.legs[i];
+      const requote = async () => {
+        const r = await quoteCycle({ path: [toAddrLower(leg.sellToken), toAddrLower(leg.buyToken)], routers: [leg.router] }, carry);
+        return r && r.legs[0];
+      };
+      if (i > 0) {
+        carry = await clampToBalance(ctx, leg.sellToken, carry, paper);
+        leg = (await requote()) || leg;
+      }
+
+      // Hops after the first unwind what earlier hops bought: no stale check, one requote on a failed simulation
+      const quote = { ...leg, feeUrgency: guard.feeUrgency, trip: tripLeg(guard, trip, i + 1) };
+      const res = i === 0
+        ? await execByRouter(ctx.chainId, leg.router, quote, label, guard.netUsd, ctx.from)
+        : await execUnwindLeg(ctx, quote, label, guard.netUsd, requote);
+      if (i === 0 && res && res.stale) {
+        log.info('skip', { pair: label, strategy: name, oppId, reason: 'stale_quote', router: c.router, block: leg.blockNumber, msg: res.error });
+        return;
+      }
+      if (i === 0 && res && res.simulated) {
+        log.info('skip', { pair: label, strategy: name, oppId, reason: 'simulation', router: c.router, slippage: res.slippage, msg: res.error });
+        return;
+      }
+      if (!res || !res.success) {
+        const paid = await paidUsd([...results, res]); // earlier legs paid too, for nothing
+        log.warn('fail', {
+          router: leg.router,
+          pair: label,
+          strategy: name,
+          oppId,
+          leg: i + 1,
+          txHash: (res && res.txHash) || '',
+          pending: !!(res && res.pending),
+          gasUsd: paid.gasPaidUsd,
+          error: (res && res.error) || 'unknown error',
+          slippage: res && res.slippage,
+          reason: res && res.simulated ? 'simulation' : undefined,
+          totalTimeMs: Date.now() - ctx.startTime,
+          msg: `CYCLE LEG ${i + 1}/${walk.legs.length} ${res && res.simulated ? 'REJECTED BY SIMULATION' : 'FAILED'}: ${(res && res.error) || 'unknown error'}`
+        });
+        ctx.failed(gasOnlyTrade({
+          router: c.router, pair: label, sellToken: c.cycle.anchor, buyToken: leg.buyToken, gasUsd: guard.gasUsd,
+          txHash: [...hashes, res && res.txHash].filter(Boolean).join('|')
+        }, paid));
+        return;
+      }
+      hashes.push(res.txHash);
+      results.push(res);
+      paper = !!res.paper;
+      carry = BigInt(res.buyAmount || leg.buyAmount);
+    }
+
+    const netUsd = fillAdjustedNetUsd(guard, walk.amountOut, carry);
+    const actual = await realize(guard, walk.amountIn, walk.amountOut, results);
+    log.info('success', {
+      router: c.router,
+      pair: label,
+      strategy: name,
+      oppId,
+      txHash: hashes.join('|'),
+      estNetUsd: guard.netUsd,
+      gasUsd: guard.gasUsd,
+      sellAmount: walk.amountIn.toString(),
+      buyAmount: carry.toString(),
+      ...actual,
+      totalTimeMs: Date.now() - ctx.startTime,
+      paper,
+      msg: `${paper ? 'PAPER' : 'SUCCESSFUL'} CYCLE! Profit: ${actual.realizedNetUsd ?? netUsd}`
+    });
+    ctx.book({
+      router: c.router,
+      pair: label,
+      side: 'cycle',
+      sellToken: c.cycle.anchor,
+      buyToken: c.cycle.anchor,
+      sellAmount: walk.amountIn.toString(),
+      buyAmount: carry.toString(),
+      sellUsd: guard.sellUsd,
+      buyUsd: guard.buyUsd,
+      gasUsd: guard.gasUsd,
+      netUsd,
+      txHash: hashes.join('|'),
+      fill: paperFill(results),
+      ...actual
+    }, paper);
+  }
+
+  return { ...config, kind: 'timer', everyMs, scan, evaluate, execute };
+}
+
+module.exports = { createCycles };
@@ -0,0 +1,78 @@
+// src/js/strategies/index.js - strategy registry
+// A strategy is an object of hooks the chain worker drives:
+//   scan(ctx, pair)           -> candidate | candidate[] | null   (quote it)
+//   evaluate(ctx, candidate)  -> guard { ok, netUsd, gasUsd, ... } (is it worth it)
+//   execute(ctx, candidate, guard)                                 (trade it, ctx.book() on success)
+// plus its own name, pairs, baseUsd, minProfitUsd and sizeSearch. 'pairs'
+// strategies are scheduled pair by pair; 'timer' strategies scan every everyMs.
+//
+// STRATEGIES=single,crossdex,cycles picks what runs; an entry that is a path
+// (./my-strategy.js) is required from the working directory and must export
+// create(config). Each setting can be overridden per strategy with
+// STRATEGY_<NAME>_<KEY>, e.g. STRATEGY_CROSSDEX_MIN_PROFIT_USD=2.
+const path = require('path');
+const { createSingleSwap } = require('./singleSwap');
+const { createCrossDex } = require('./crossDex');
+const { createCycles } = require('./cycles');
+const { strategyEnv } = require('./common');
+
+const FACTORIES = {
+  single: createSingleSwap,
+  crossdex: createCrossDex,
+  cycles: createCycles
+};
+const ALIASES = { roundtrip: 'crossdex', cycle: 'cycles' };
+
+function register(name, factory) {
+  FACTORIES[String(name).toLowerCase()] = factory;
+}
+
+// Without STRATEGIES, keep what ARB_MODE / CYCLE_SCAN used to select
+function enabledNames() {
+  const list = String(process.env.STRATEGIES || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (list.length) return list;
+  const names = [String(process.env.ARB_MODE || 'single').toLowerCase() === 'roundtrip' ? 'crossdex' : 'single'];
+  if (String(process.env.CYCLE_SCAN || 'false').toLowerCase() === 'true') names.push('cycles');
+  return names;
+}
+
+function resolveFactory(entry) {
+  if (/[./\\]/.test(entry)) {
+    const mod = require(path.resolve(process.cwd(), entry));
+    if (typeof mod.create !== 'function') throw new Error(`strategy ${entry} does not export create(config)`);
+    return { name: path.basename(entry, '.js').toLowerCase(), factory: mod.create };
+  }
+  const name = ALIASES[entry.toLowerCase()] || entry.toLowerCase();
+  if (!FACTORIES[name]) throw new Error(`unknown strategy: ${entry}`);
+  return { name, factory: FACTORIES[name] };
+}
+
+/**
+ * Build the enabled strategies.
+ * @param {{ loadPairs: (opts: { file?: string, list?: string }) => string[] }} deps
+ */
+function loadStrategies({ loadPairs }) {
+  const out = [];
+  for (const entry of enabledNames()) {
+    const { name, factory } = resolveFactory(entry);
+    if (out.some(s => s.name === name)) continue;
+    const config = {
+      name,
+      pairs: loadPairs({
+        file: strategyEnv(name, 'PAIRS_FILE', process.env.EVM_PAIRS_FILE),
+        list: strategyEnv(name, 'PAIRS', process.env.EVM_PAIRS)
+      }),
+      baseUsd: parseFloat(strategyEnv(name, 'BASE_USD', process.env.BASE_TRADE_USD || '15')),
+      minProfitUsd: Number(strategyEnv(name, 'MIN_PROFIT_USD', process.env.MIN_USD_PROFIT || '1')),
+      sizeSearch: String(strategyEnv(name, 'SIZE_SEARCH', process.env.SIZE_SEARCH || 'false')).toLowerCase() === 'true'
+    };
+    const s = factory(config);
+    for (const hook of ['scan', 'evaluate', 'execute']) {
+      if (typeof s[hook] !== 'function') throw new Error(`strategy ${name} is missing ${hook}()`);
+    }
+    out.push({ kind: 'pairs', ...s, name });
+  }
+  return out;
+}
+
+module.exports = { loadStrategies, register };
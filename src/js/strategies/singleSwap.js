@@ -0,0 +1,171 @@
+// src/js/strategies/singleSwap.js - sell A for B on the venue that quotes the most
+const { getBestQuote, getAllQuotes } = require('../robustQuoter');
+const { execByRouter } = require('../evmExecutors');
+const { check: profitCheck } = require('../profitGuard');
+const log = require('../logger');
+const { realize, paidUsd } = require('../reconcile');
+const {
+  pickDirection, sizeFixed, searchTradeSize, fillAdjustedNetUsd, paperFill, gasOnlyTrade, checkApprovalNeeded
+} = require('./common');
+
+function createSingleSwap(config) {
+  const { name, baseUsd, minProfitUsd, sizeSearch } = config;
+
+  const guardFor = (ctx, pair, sellAmount, quote) => profitCheck({
+    chainId: ctx.chainId,
+    pair,
+    side: 'sell',
+    sellAmountWei: sellAmount,
+    normQuote: quote,
+    minUsd: minProfitUsd
+  });
+
+  async function scan(ctx, pair) {
+    // Sell whichever side of the pair the wallet can fund
+    const dir = await pickDirection(ctx, pair, baseUsd);
+    if (!dir) return null;
+    const { sellToken, buyToken, direction } = dir;
+
+    if (sizeSearch) {
+      // Search the size that maximizes net USD instead of a fixed baseUsd
+      const sized = await searchTradeSize(ctx, pair, sellToken, async (sellAmount) => {
+        const quotes = await getAllQuotes(sellToken, buyToken, sellAmount);
+        let quote = null;
+        for (const q of quotes) {
+          if (!quote || BigInt(q.buyAmount) > BigInt(quote.buyAmount)) quote = q;
+        }
+        if (!quote) return null;
+        const guard = await guardFor(ctx, pair, sellAmount, quote);
+        if (guard.reason === 'unpriceable') return null;
+        return { netUsd: guard.netUsd, quote, guard };
+      });
+      if (!sized) return null;
+      return {
+        pair, router: sized.quote.router, sellToken, sellAmount: sized.sellAmount,
+        quote: sized.quote, guard: sized.guard, sized,
+        fields: { sizeUsd: sized.usd, direction }
+      };
+    }
+
+    const sellAmount = await sizeFixed(ctx, pair, sellToken, dir.sizeUsd);
+    if (sellAmount === null) return null;
+
+    console.log(`[attempt] Getting quotes for ${pair}...`);
+    const quote = await getBestQuote(sellToken, buyToken, sellAmount);
+    if (!quote) {
+      log.warn('noquote', { pair, strategy: name, msg: 'no valid quotes from any router' });
+      return null;
+    }
+    return {
+      pair, router: quote.router, sellToken, sellAmount, quote,
+      fields: { spreadBps: quote.spreadBps, sizeUsd: dir.sizeUsd, direction }
+    };
+  }
+
+  async function evaluate(ctx, c) {
+    return c.guard || guardFor(ctx, c.pair, c.sellAmount, c.quote);
+  }
+
+  async function execute(ctx, c, guard) {
+    const { pair, quote } = c;
+
+    // Pre-execution checks
+    const needsApproval = await checkApprovalNeeded(c.sellToken, ctx.from, c.sellAmount, quote.router);
+    console.log(`[attempt] ${needsApproval ? '⚠️  Pre-check: Token approval will be needed' : '✅ Pre-check: Token already approved'}`);
+
+    // Check ETH balance for gas
+    const ethBalance = await ctx.provider.getBalance(ctx.from);
+    const estimatedGasCost = BigInt(guard.gasUsd * 1e6) * BigInt(4270) / BigInt(1e6); // Rough ETH cost
+    if (ethBalance < estimatedGasCost) {
+      log.warn('low_eth', {
+        pair,
+        ethBalance: ethBalance.toString(),
+        estimatedCost: estimatedGasCost.toString(),
+        msg: 'Low ETH balance for gas'
+      });
+    }
+
+    console.log(`[attempt] 🚀 Executing trade...`);
+    const executionStart = Date.now();
+    // USD values ride along so the tx journal can book the swap if we crash before its receipt,
+    // and the fee tier the guard priced gas at so the swap pays that tier
+    const priced = {
+      ...quote, breakEvenOut: guard.breakEvenOut, feeUrgency: guard.feeUrgency,
+      sellUsd: guard.sellUsd, buyUsd: guard.buyUsd, gasUsd: guard.gasUsd
+    };
+    const res = await execByRouter(ctx.chainId, quote.router, priced, pair, guard.netUsd, ctx.from);
+    if (res && res.stale) {
+      log.info('skip', { pair, strategy: name, reason: 'stale_quote', router: quote.router, block: quote.blockNumber, msg: res.error });
+      return;
+    }
+    if (res && res.simulated) {
+      log.info('skip', { pair, strategy: name, reason: 'simulation', router: quote.router, slippage: res.slippage, msg: res.error });
+      return;
+    }
+
+    const executionTime = Date.now() - executionStart;
+    const totalTime = Date.now() - ctx.startTime;
+
+    if (res && res.success) {
+      const netUsd = fillAdjustedNetUsd(guard, quote.buyAmount, res.buyAmount);
+      const actual = await realize(guard, quote.sellAmount, quote.buyAmount, [res]); // fills and fees from the receipt
+      log.info('success', {
+        router: quote.router,
+        pair,
+        strategy: name,
+        txHash: res.txHash,
+        estNetUsd: guard.netUsd,
+        gasUsd: guard.gasUsd,
+        sellAmount: quote.sellAmount,
+        buyAmount: quote.buyAmount,
+        gasUsed: res.gasUsed,
+        ...actual,
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        approvalTx: res.approvalTx,
+        paper: !!res.paper,
+        msg: `${res.paper ? 'PAPER' : 'SUCCESSFUL'} TRADE! Profit: ${actual.realizedNetUsd ?? netUsd}`
+      });
+
+      ctx.book({
+        router: quote.router,
+        pair,
+        side: 'sell',
+        sellToken: quote.sellToken,
+        buyToken: quote.buyToken,
+        sellAmount: res.sellAmount || quote.sellAmount,
+        buyAmount: res.buyAmount || quote.buyAmount,
+        sellUsd: guard.sellUsd,
+        buyUsd: guard.buyUsd,
+        gasUsd: guard.gasUsd,
+        netUsd,
+        txHash: res.txHash,
+        fill: paperFill([res]),
+        ...actual
+      }, res.paper);
+    } else {
+      const paid = await paidUsd([res]); // a mined revert (or cancel) still burns gas
+      log.warn('fail', {
+        router: quote.router,
+        pair,
+        strategy: name,
+        txHash: (res && res.txHash) || '',
+        pending: !!(res && res.pending), // still in the mempool, may yet land
+        gasUsd: paid.gasPaidUsd,
+        error: (res && res.error) || 'unknown error',
+        executionTimeMs: executionTime,
+        totalTimeMs: totalTime,
+        approvalTx: res && res.approvalTx,
+        slippage: res && res.slippage,
+        msg: `TRADE FAILED: ${(res && res.error) || 'unknown error'}`
+      });
+      ctx.failed(gasOnlyTrade({
+        router: quote.router, pair, sellToken: quote.sellToken, buyToken: quote.buyToken, gasUsd: guard.gasUsd, txHash: res && res.txHash
+      }, paid));
+    }
+  }
+
+  return { ...config, kind: 'pairs', scan, evaluate, execute };
+}
+
+module.exports = { createSingleSwap };
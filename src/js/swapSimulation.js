@@ -0,0 +1,40 @@
+// src/js/swapSimulation.js - eth_call a swap before paying gas for it
+// Executors call simulateSwap() with the exact arguments they are about to
+// broadcast. A revert, or an output below the trade's break-even (what the
+// profit guard says we need back to cover the input plus gas), means the tx
+// would lose money, so it is never sent.
+
+function enabled() {
+  return String(process.env.SIMULATE_SWAPS || 'true') !== 'false';
+}
+
+// Best human-readable reason from an ethers v6 call exception
+function revertReason(e) {
+  if (e && e.revert && e.revert.name) {
+    const args = (e.revert.args || []).map(a => String(a)).join(', ');
+    return e.revert.name === 'Error' ? args : `${e.revert.name}(${args})`;
+  }
+  return (e && (e.reason || e.shortMessage || e.message)) || 'execution reverted';
+}
+
+/**
+ * Simulate `router.swapExactTokensForTokens(...args)` from `from` against the
+ * pending block. `breakEvenOut` (raw buy-token units) is optional.
+ * Resolves to { ok, amountOut?, reason? }; ok is also true when disabled.
+ */
+async function simulateSwap(router, args, from, breakEvenOut) {
+  if (!enabled()) return { ok: true };
+  let amounts;
+  try {
+    amounts = await router.swapExactTokensForTokens.staticCall(...args, { from, blockTag: 'pending' });
+  } catch (e) {
+    return { ok: false, reason: `simulation reverted: ${revertReason(e)}` };
+  }
+  const amountOut = BigInt(amounts[amounts.length - 1]);
+  if (breakEvenOut !== undefined && breakEvenOut !== null && amountOut < BigInt(breakEvenOut)) {
+    return { ok: false, amountOut, reason: `simulated output ${amountOut} below break-even ${breakEvenOut}` };
+  }
+  return { ok: true, amountOut };
+}
+
+module.exports = { simulateSwap, revertReason };
@@ -0,0 +1,20 @@
+// src/js/tradeRecorder.js — books a finished trade: trades CSV, PnL totals, WS bus
+const tradesCsv = require('./tradesCsv');
+const pnlStore = require('./pnlStore');
+const wsBus = require('./wsBus');
+
+/**
+ * @param {Object} tr - tradesCsv row fields; `mode` is 'live' (default), 'paper', or
+ *   'paper_quote' (a paper fill taken at the quote, kept out of the PnL totals)
+ * @returns {Object} the row as recorded
+ */
+function recordTrade(tr) {
+  const row = { ts: Date.now(), mode: 'live', ...tr };
+  try { tradesCsv.appendTrade(row); } catch (e) { console.log(`[trades] CSV append failed: ${e.message}`); }
+  pnlStore.addTrade(row);
+  wsBus.emitTrade(row);
+  wsBus.emitPnl(pnlStore.getTotals());
+  return row;
+}
+
+module.exports = { recordTrade };
@@ -5,22 +5,66 @@ const path = require('path');
 const DIR = process.env.TRADES_DIR || process.cwd();
 const BASENAME = process.env.TRADES_BASENAME || 'trades';
 
-function todayFile() {
-  const d = new Date();
+// Local calendar day (YYYY-MM-DD); the trade files, pnlStore's totals and the daily loss limit all roll over on it
+function dayKey(d = new Date()) {
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, '0');
   const dd = String(d.getDate()).padStart(2, '0');
-  return path.resolve(DIR, `${BASENAME}-${y}-${m}-${dd}.csv`);
+  return `${y}-${m}-${dd}`;
+}
+
+const HEADER = [
+  'ts','router','pair','side','sellToken','buyToken',
+  'sellAmountRaw','buyAmountRaw','sellUsd','buyUsd','gasUsd','netUsd','txHash','mode',
+  'l2FeeWei','l1FeeWei','realizedNetUsd','gasPaidUsd','slippageBps'
+].join(',');
+
+// trades-YYYY-MM-DD.csv, then .v2.csv, .v3.csv, ... for the same day
+function versionFile(d, v) {
+  return path.resolve(DIR, `${BASENAME}-${dayKey(d)}${v > 1 ? `.v${v}` : ''}.csv`);
+}
+
+function firstLine(fp) {
+  try {
+    const text = fs.readFileSync(fp, 'utf8');
+    const nl = text.indexOf('\n');
+    return (nl < 0 ? text : text.slice(0, nl)).replace(/\r$/, '');
+  } catch {
+    return null;
+  }
+}
+
+// The day's file for new rows: the first version that is missing, empty or has our header.
+// A file written under another column layout (an older build) is left as is and the
+// day rotates to the next version, so its rows are never mixed with ours.
+function fileFor(d) {
+  for (let v = 1; ; v++) {
+    const fp = versionFile(d, v);
+    const head = firstLine(fp);
+    if (!head || head === HEADER) return fp;
+  }
+}
+
+// Every existing file for the day, oldest version first (readers want all of them)
+function filesFor(d) {
+  const out = [];
+  for (let v = 1; ; v++) {
+    const fp = versionFile(d, v);
+    if (!fs.existsSync(fp)) return out;
+    out.push(fp);
+  }
+}
+
+function todayFile() {
+  return fileFor(new Date());
 }
 
 function ensureHeader(fp) {
   if (!fs.existsSync(fp) || fs.statSync(fp).size === 0) {
-    const header = [
-      'ts','router','pair','side','sellToken','buyToken',
-      'sellAmountRaw','buyAmountRaw','sellUsd','buyUsd','gasUsd','netUsd','txHash'
-    ].join(',') + '\n';
-    fs.writeFileSync(fp, header);
+    fs.writeFileSync(fp, HEADER + '\n');
+    return;
   }
+  if (firstLine(fp) !== HEADER) throw new Error(`${fp} has a different header; not appending`);
 }
 
 function csvSafe(v) {
@@ -41,10 +85,15 @@ function appendTrade(tr) {
     tr.buyUsd?.toFixed ? tr.buyUsd.toFixed(6) : tr.buyUsd,
     tr.gasUsd?.toFixed ? tr.gasUsd.toFixed(6) : tr.gasUsd,
     tr.netUsd?.toFixed ? tr.netUsd.toFixed(6) : tr.netUsd,
-    tr.txHash
+    tr.txHash,
+    tr.mode || 'live',
+    tr.l2FeeWei, tr.l1FeeWei,
+    tr.realizedNetUsd?.toFixed ? tr.realizedNetUsd.toFixed(6) : tr.realizedNetUsd,
+    tr.gasPaidUsd?.toFixed ? tr.gasPaidUsd.toFixed(6) : tr.gasPaidUsd,
+    tr.slippageBps
   ].map(csvSafe).join(',') + '\n';
   fs.appendFileSync(fp, row);
   return fp;
 }
 
-module.exports = { appendTrade, todayFile };
+module.exports = { appendTrade, todayFile, fileFor, filesFor, dayKey, HEADER };
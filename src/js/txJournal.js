@@ -0,0 +1,324 @@
+// src/js/txJournal.js — write-ahead journal of each swap's lifecycle
+// Executors append a line (fsync'd) before each step of a swap: quoted,
+// approved, submitted (hash + nonce, written after signing but before the
+// broadcast), replaced (speed-ups and cancels), and how it ended: confirmed,
+// reverted, dropped, skipped or failed. A submission stays open until a
+// receipt-based outcome (confirmed, reverted, dropped) names one of its hashes:
+// a crash between submit and receipt, or a broadcast that threw, leaves it
+// unsettled; recover() runs at boot, looks up the receipts for those, books
+// confirmed ones to the trades CSV (mined reverts and cancels as gas-only
+// losses) and closes the rest. The file is compacted to the still-open swaps
+// after every replay.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+const tradesCsv = require('./tradesCsv');
+const { recordTrade } = require('./tradeRecorder');
+const { actualAmounts, paidUsd, realize } = require('./reconcile');
+const { receiptFees, sumFees } = require('./l1Fee');
+
+const OPEN = new Set(['quoted', 'approved', 'submitted', 'replaced']);
+const SETTLED = new Set(['confirmed', 'reverted', 'dropped']);
+const DAY_MS = 24 * 3600 * 1000;
+
+let fd = null;
+
+function journalFile() {
+  return path.resolve(process.cwd(), process.env.TX_JOURNAL_FILE || './tx-journal.jsonl');
+}
+
+function fsyncEnabled() {
+  return String(process.env.TX_JOURNAL_FSYNC || 'true').toLowerCase() !== 'false';
+}
+
+function write(record) {
+  try {
+    if (fd === null) fd = fs.openSync(journalFile(), 'a');
+    fs.writeSync(fd, JSON.stringify(record) + '\n');
+    if (fsyncEnabled()) fs.fsyncSync(fd);
+  } catch (e) {
+    console.warn('[journal] write failed:', e.message || String(e));
+  }
+}
+
+function close() {
+  if (fd === null) return;
+  try { fs.closeSync(fd); } catch {}
+  fd = null;
+}
+
+const str = (v) => (v === undefined || v === null ? v : String(v));
+
+/**
+ * Open a journal entry for a swap about to be executed and record it as quoted.
+ * `trade` is { pair, router, side?, from, sellToken, buyToken, sellAmount,
+ * buyAmount, breakEvenOut?, estNetUsd?, sellUsd?, buyUsd?, gasUsd?, trip? }.
+ * USD values let recover() price the swap if it has to book it; a leg of a
+ * multi-tx loop carries the loop's instead, as `trip` (strategies/common
+ * tripLeg()). Returns the entry id.
+ */
+function begin(trade) {
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  write({
+    id, step: 'quoted', ts: Date.now(), ...trade,
+    sellAmount: str(trade.sellAmount), buyAmount: str(trade.buyAmount), breakEvenOut: str(trade.breakEvenOut)
+  });
+  return id;
+}
+
+/** Append a lifecycle step (approved, submitted, replaced, confirmed, reverted, dropped, skipped, failed). */
+function step(id, name, fields = {}) {
+  if (!id) return;
+  const rec = { id, step: name, ts: Date.now() };
+  for (const [k, v] of Object.entries(fields)) rec[k] = typeof v === 'bigint' ? v.toString() : v;
+  write(rec);
+}
+
+function readRecords() {
+  let text;
+  try { text = fs.readFileSync(journalFile(), 'utf8'); } catch { return []; }
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {} // torn last line from a crash mid-write
+  }
+  return out;
+}
+
+/**
+ * Fold the journal into one entry per swap: the trade fields from quoted, the
+ * last step, and `unsettled`, the submissions ({ nonce, from, hashes }, every
+ * hash sent for that nonce) no outcome has named yet.
+ */
+function replay(records = readRecords()) {
+  const entries = new Map();
+  for (const r of records) {
+    let e = entries.get(r.id);
+    if (!e) {
+      e = { id: r.id, startedAt: r.ts, unsettled: [] };
+      entries.set(r.id, e);
+    }
+    if (r.step === 'quoted') Object.assign(e, r, { step: e.step || r.step, unsettled: e.unsettled, startedAt: r.ts });
+    if (r.step === 'submitted') e.unsettled.push({ nonce: r.nonce, from: r.from || e.from, hashes: [r.hash] });
+    if (r.step === 'replaced' && e.unsettled.length) e.unsettled[e.unsettled.length - 1].hashes.push(r.hash);
+    if (SETTLED.has(r.step)) e.unsettled = r.hash ? e.unsettled.filter(u => !u.hashes.includes(r.hash)) : [];
+    if (r.step === 'confirmed') Object.assign(e, { hash: r.hash, filledSell: r.sellAmount });
+    e.step = r.step;
+    e.updatedAt = r.ts;
+  }
+  return [...entries.values()];
+}
+
+const isOpen = (e) => OPEN.has(e.step) || e.unsettled.length > 0;
+
+/** Swaps that haven't reached an outcome, or have a submission nothing has settled. */
+function open() {
+  return replay().filter(isOpen);
+}
+
+// Rewrite the journal with only the records of swaps that are still open
+function compact() {
+  const records = readRecords();
+  const keep = new Set(replay(records).filter(isOpen).map(e => e.id));
+  const fp = journalFile();
+  const tmp = `${fp}.tmp`;
+  close();
+  try {
+    fs.writeFileSync(tmp, records.filter(r => keep.has(r.id)).map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, fp);
+  } catch (e) {
+    console.warn('[journal] compaction failed:', e.message || String(e));
+  }
+}
+
+// Whether a trades CSV since the swap started already has a trade row for this hash
+// (txTracker's "<kind>:<status>" rows only record how a tx ended, not its PnL)
+function alreadyBooked(hash, since) {
+  const h = String(hash).toLowerCase();
+  for (let t = since - DAY_MS; t <= Date.now() + DAY_MS; t += DAY_MS) {
+    for (const fp of tradesCsv.filesFor(new Date(t))) {
+      let text;
+      try { text = fs.readFileSync(fp, 'utf8').toLowerCase(); } catch { continue; }
+      if (text.split('\n').some(line => line.includes(h) && !String(line.split(',')[3]).includes(':'))) return true;
+    }
+  }
+  return false;
+}
+
+async function findReceipt(provider, hashes) {
+  for (const h of hashes) {
+    const r = await provider.getTransactionReceipt(h);
+    if (r) return r;
+  }
+  return null;
+}
+
+async function inMempool(provider, hashes) {
+  for (const h of hashes) {
+    try { if (await provider.getTransaction(h)) return true; } catch {}
+  }
+  return false;
+}
+
+// Receipts' fees of the loop's earlier legs that confirmed in the same run
+async function earlierLegs(provider, e, entries) {
+  const legs = entries
+    .filter(o => o.trip && o.trip.id === e.trip.id && o.trip.leg < e.trip.leg && o.step === 'confirmed')
+    .sort((a, b) => a.trip.leg - b.trip.leg);
+  const out = [];
+  for (const o of legs) {
+    const r = await provider.getTransactionReceipt(o.hash);
+    if (r) out.push({ hash: r.hash, sellAmount: o.filledSell, ...(await receiptFees(provider, r)) });
+  }
+  return out;
+}
+
+// Book a swap that confirmed while nobody was waiting for it. A loop's closing
+// leg is booked as the whole loop at the loop's guard values; an earlier leg,
+// whose loop never got further, as the gas it burned.
+async function book(provider, e, receipt, entries = []) {
+  const fills = actualAmounts(receipt, e.from, e.sellToken, e.buyToken);
+  const fees = await receiptFees(provider, receipt);
+  const sellAmount = fills.sellAmount || e.sellAmount;
+  const buyAmount = fills.buyAmount || e.buyAmount;
+  const trip = e.trip;
+
+  if (trip && trip.leg < trip.legs) {
+    const { gasPaidUsd, ...paid } = await paidUsd([fees]);
+    return recordTrade({
+      router: e.router,
+      pair: e.pair,
+      side: 'leg',
+      sellToken: e.sellToken,
+      buyToken: e.buyToken,
+      sellAmount,
+      buyAmount,
+      gasUsd: trip.gasUsd,
+      netUsd: -gasPaidUsd,
+      txHash: receipt.hash,
+      recovered: true,
+      ...paid,
+      realizedNetUsd: -gasPaidUsd,
+      gasPaidUsd
+    });
+  }
+
+  // What was quoted: the swap itself, or the loop this leg closed
+  const q = trip
+    ? { router: trip.router, side: trip.side, sellToken: trip.startToken, sellAmount: trip.amountIn, buyAmount: trip.amountOut, sellUsd: trip.sellUsd, buyUsd: trip.buyUsd, gasUsd: trip.gasUsd, estNetUsd: trip.netUsd }
+    : { router: e.router, side: e.side || 'sell', sellToken: e.sellToken, sellAmount: e.sellAmount, buyAmount: e.buyAmount, sellUsd: e.sellUsd, buyUsd: e.buyUsd, gasUsd: e.gasUsd, estNetUsd: e.estNetUsd };
+  const earlier = trip ? await earlierLegs(provider, e, entries) : [];
+  // What went in: the loop's first leg as it filled, when this leg closed a loop
+  const sellIn = trip ? (earlier[0] && earlier[0].sellAmount) || q.sellAmount : sellAmount;
+
+  let netUsd = null;
+  let actual = { ...sumFees([...earlier, fees]) };
+  if (Number.isFinite(q.sellUsd) && Number.isFinite(q.buyUsd)) {
+    actual = await realize(q, q.sellAmount, q.buyAmount, [{ sellAmount: sellIn }, ...earlier, { buyAmount, ...fees }]);
+    const fill = Number(BigInt(buyAmount)) / Number(BigInt(q.buyAmount) || 1n);
+    netUsd = Number.isFinite(q.estNetUsd) ? Number((q.estNetUsd + q.buyUsd * (fill - 1)).toFixed(6)) : null;
+  }
+
+  return recordTrade({
+    router: q.router,
+    pair: e.pair,
+    side: q.side,
+    sellToken: q.sellToken,
+    buyToken: e.buyToken,
+    sellAmount: sellIn,
+    buyAmount,
+    sellUsd: q.sellUsd,
+    buyUsd: q.buyUsd,
+    gasUsd: q.gasUsd,
+    netUsd,
+    txHash: [...earlier.map(l => l.hash), receipt.hash].join('|'),
+    recovered: true,
+    ...actual
+  });
+}
+
+// Book a mined swap that reverted (or a mined cancel) as what the live path books: the gas it burned
+async function bookGasOnly(provider, e, receipt) {
+  const { gasOnlyTrade } = require('./strategies/common');
+  const paid = await paidUsd([await receiptFees(provider, receipt)]);
+  return recordTrade({
+    ...gasOnlyTrade({
+      router: e.router, pair: e.pair, sellToken: e.sellToken, buyToken: e.buyToken,
+      gasUsd: e.trip ? e.trip.gasUsd : e.gasUsd, txHash: receipt.hash
+    }, paid),
+    recovered: true
+  });
+}
+
+// Where a submission ended up: confirmed/reverted (with receipt), dropped, or still pending
+async function settle(provider, sub) {
+  const receipt = await findReceipt(provider, sub.hashes);
+  if (receipt) {
+    // A mined cancel (0-value self-transfer) means the swap itself never ran
+    if (String(receipt.to || '').toLowerCase() === String(sub.from).toLowerCase()) return { status: 'dropped', receipt };
+    return { status: receipt.status === 1 ? 'confirmed' : 'reverted', receipt };
+  }
+  const mined = Number(await provider.getTransactionCount(sub.from, 'latest'));
+  if (mined > Number(sub.nonce)) return { status: 'dropped' }; // nonce used by a tx we never saw
+  if (await inMempool(provider, sub.hashes)) return { status: 'pending' };
+  return { status: 'dropped' }; // never reached the node, or evicted
+}
+
+/**
+ * Replay the journal at boot: close swaps that never got as far as a broadcast,
+ * look up receipts for unsettled submissions and book the confirmed ones (and
+ * reverts and mined cancels at the gas they burned), then compact. Submissions still in the mempool stay open for the next boot.
+ * @returns {Promise<Array<{ id, pair, router, txHash, status }>>}
+ */
+async function recover(provider) {
+  if (!provider) provider = require('./walletPool').signer().provider;
+  const out = [];
+  const entries = replay();
+  for (const e of entries.filter(isOpen)) {
+    if (!e.unsettled.length) {
+      step(e.id, 'failed', { error: 'interrupted before submit' });
+      out.push({ id: e.id, pair: e.pair, router: e.router, txHash: '', status: 'failed' });
+      continue;
+    }
+
+    for (const sub of e.unsettled) {
+      let result;
+      try {
+        result = await settle(provider, sub);
+      } catch (err) {
+        console.log(`[journal] receipt lookup for ${sub.hashes.join(', ')} failed: ${err.shortMessage || err.message}`);
+        continue; // stays open
+      }
+      const { status, receipt } = result;
+      const txHash = receipt ? receipt.hash : sub.hashes[sub.hashes.length - 1];
+
+      let booked = false;
+      if (receipt && status !== 'pending' && !alreadyBooked(txHash, e.startedAt)) {
+        try {
+          if (status === 'confirmed') await book(provider, { ...e, from: sub.from }, receipt, entries);
+          else await bookGasOnly(provider, e, receipt);
+          booked = true;
+        } catch (err) {
+          console.log(`[journal] booking ${txHash} failed: ${err.message}`);
+        }
+      }
+      if (status !== 'pending') step(e.id, status, { hash: txHash, blockNumber: receipt && receipt.blockNumber, recovered: true, booked });
+
+      log[status === 'confirmed' ? 'info' : 'warn']('tx_recovered', {
+        pair: e.pair,
+        router: e.router,
+        txHash,
+        nonce: sub.nonce,
+        status,
+        booked,
+        msg: `swap from before restart ${status}${booked ? ', booked' : ''}`
+      });
+      out.push({ id: e.id, pair: e.pair, router: e.router, txHash, status });
+    }
+  }
+  compact();
+  return out;
+}
+
+module.exports = { begin, step, replay, open, recover, compact, journalFile };
@@ -0,0 +1,102 @@
+// src/js/txTracker.js — transactions we've broadcast and haven't seen a receipt for
+// Executors call submitted() right after a tx is sent and settled() once its
+// receipt is in. Whatever is still here at shutdown gets one last receipt
+// lookup and its final state written to the log (tx_final) and the trades CSV.
+const log = require('./logger');
+const { recordTrade } = require('./tradeRecorder');
+
+const pending = new Map(); // hash -> { hash, kind, pair, router, nonce, submittedAt }
+
+/**
+ * @param {'approval'|'swap'|string} kind - replacements add a _speedup or _cancel suffix
+ * @param {{ hash: string, nonce?: number }} tx
+ * @param {{ pair?: string, router?: string, token?: string }} meta
+ */
+function submitted(kind, tx, meta = {}) {
+  const entry = { hash: tx.hash, kind, nonce: tx.nonce, submittedAt: Date.now(), ...meta };
+  pending.set(tx.hash, entry);
+  log.info('send', { pair: meta.pair, router: meta.router, txHash: tx.hash, kind, nonce: tx.nonce, msg: `${kind} submitted` });
+  return entry;
+}
+
+function settled(hash) {
+  pending.delete(hash);
+}
+
+function list() {
+  return [...pending.values()].map(e => ({ ...e, ageMs: Date.now() - e.submittedAt }));
+}
+
+// How one nonce ended: the tx that landed and what it was, or pending
+function familyStatus(txs, receipt) {
+  const landed = receipt && txs.find(e => e.hash === receipt.hash);
+  if (!landed) return { status: 'pending', landed: null };
+  if (/_cancel$/.test(landed.kind)) return { status: 'cancelled', landed };
+  if (receipt.status !== 1) return { status: 'reverted', landed };
+  return { status: landed.replaces ? 'replaced' : 'confirmed', landed };
+}
+
+/**
+ * Look up receipts for everything still pending and record where each nonce
+ * ended up: confirmed, replaced (a speed-up landed instead), cancelled,
+ * reverted, or still pending when we gave up waiting. Every tx gets a tx_final
+ * event; each nonce gets a trades CSV row with side "<kind>:<status>" and no
+ * PnL (a swap that landed is priced by the tx journal at the next boot).
+ */
+async function finalize(provider, reason = 'shutdown') {
+  // The original tx and the speed-ups and cancel that replaced it share a nonce
+  const families = new Map();
+  for (const e of pending.values()) {
+    const root = e.replaces || e.hash;
+    if (!families.has(root)) families.set(root, []);
+    families.get(root).push(e);
+  }
+
+  const out = [];
+  for (const txs of families.values()) {
+    let receipt = null;
+    for (const e of txs) {
+      try {
+        receipt = await provider.getTransactionReceipt(e.hash);
+      } catch (err) {
+        console.log(`[tx] receipt lookup for ${e.hash} failed: ${err.shortMessage || err.message}`);
+      }
+      if (receipt) break;
+    }
+    const { status, landed } = familyStatus(txs, receipt);
+    const first = txs.find(e => !e.replaces) || txs[0];
+    const kind = first.kind;
+
+    for (const e of txs) {
+      const txStatus = !landed ? 'pending' : e === landed ? status : 'replaced';
+      log[txStatus === 'confirmed' || txStatus === 'replaced' ? 'info' : 'warn']('tx_final', {
+        pair: e.pair,
+        router: e.router,
+        txHash: e.hash,
+        kind: e.kind,
+        nonce: e.nonce,
+        status: txStatus,
+        blockNumber: e === landed ? receipt.blockNumber : null,
+        ageMs: Date.now() - e.submittedAt,
+        msg: `${e.kind} ${txStatus} at ${reason}`
+      });
+      out.push({ hash: e.hash, kind: e.kind, status: txStatus });
+      if (landed) pending.delete(e.hash);
+    }
+
+    try {
+      recordTrade({
+        router: first.router,
+        pair: first.pair,
+        side: `${kind}:${status}`,
+        sellToken: first.token,
+        txHash: (landed || txs[txs.length - 1]).hash
+      });
+    } catch (err) {
+      console.log(`[tx] recording final state of ${first.hash} failed: ${err.message}`);
+    }
+  }
+  return out;
+}
+
+module.exports = { submitted, settled, list, finalize };
@@ -1,9 +1,10 @@
-// src/js/v2Spot.js — Uniswap V2-style spot quotes (BaseSwap)
+// src/js/v2Spot.js — Uniswap V2-style spot quotes (BaseSwap, or the chain's V2 venue)
 const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
 
-const CHAIN_ID = Number(process.env.EVM_CHAIN_ID || 8453);
-const RPC_URL  = process.env.EVM_RPC_URL;
-const FACTORY  = (process.env.BASESWAP_FACTORY || '0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB');
+const CHAIN_ID = cfg.EVM_CHAIN_ID;
+const RPC_URL  = cfg.EVM_RPC_URL;
+const FACTORY  = cfg.BASESWAP_FACTORY;
 const FEE_BPS  = Number(process.env.V2_FEE_BPS || 30); // 0.30% default
 
 const V2_FACTORY_ABI = ['function getPair(address,address) view returns (address)'];
@@ -20,6 +21,7 @@ function getProvider() {
 const addr = (a)=>ethers.getAddress(a);
 
 async function getPairAddress(tokenA, tokenB) {
+  if (!FACTORY) return null; // no V2 venue on this chain
   const pvd = getProvider();
   const f = new ethers.Contract(FACTORY, V2_FACTORY_ABI, pvd);
   const pa = await f.getPair(addr(tokenA), addr(tokenB));
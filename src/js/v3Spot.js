@@ -1,6 +1,8 @@
 // src/js/v3Spot.js - FIXED factory.call error
 const { ethers } = require('ethers');
 const { getProvider } = require('./robustProvider');
+const cfg = require('./multichainConfig');
+const { knownTokens } = require('./chains');
 
 const FACTORY_ABI = ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'];
 const POOL_ABI = [
@@ -10,15 +12,12 @@ const POOL_ABI = [
 ];
 const ERC20_ABI = ['function decimals() view returns (uint8)'];
 
-const UNI_V3_FACTORY = process.env.UNI_V3_FACTORY || '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+const UNI_V3_FACTORY = cfg.UNI_V3_FACTORY;
 
-// Known decimal overrides for Base
-const DECIMAL_OVERRIDES = {
-  '0x4200000000000000000000000000000000000006': 18, // WETH
-  '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': 6,  // USDC
-  '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca': 6,  // USDbC
-  '0xeb466342c4d449bc9f53a865d5cb90586f405215': 6   // USDT
-};
+// Known decimal overrides for the active chain's registry tokens
+const DECIMAL_OVERRIDES = Object.fromEntries(
+  Object.entries(knownTokens(cfg.CHAIN)).map(([a, t]) => [a, t.decimals])
+);
 
 // Cache for pool addresses and decimals
 const poolCache = new Map();
@@ -0,0 +1,117 @@
+// src/js/walletPool.js - the keys the worker trades from
+// EVM_PRIVATE_KEY is the primary wallet; EVM_PRIVATE_KEYS (comma list) adds more.
+// Each wallet keeps one signer for the life of the process; executors send
+// through nonceManager, which numbers each wallet's txs locally so concurrent
+// sends from the same key never collide. Each wallet trades its own inventory:
+// the worker assigns an attempt to a wallet before sizing, and two attempts
+// never spend the same token from the same wallet at once.
+const { ethers } = require('ethers');
+const cfg = require('./multichainConfig');
+
+const state = { wallets: null, provider: null };
+
+function normalizeKey(k) {
+  let pk = String(k || '').trim().replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1');
+  if (pk && !pk.startsWith('0x')) pk = '0x' + pk;
+  return pk;
+}
+
+function provider() {
+  if (!state.provider) state.provider = new ethers.JsonRpcProvider(cfg.EVM_RPC_URL, cfg.EVM_CHAIN_ID);
+  return state.provider;
+}
+
+function load() {
+  const keys = [process.env.EVM_PRIVATE_KEY, ...String(process.env.EVM_PRIVATE_KEYS || '').split(',')]
+    .map(normalizeKey)
+    .filter(Boolean);
+
+  const wallets = [];
+  const seen = new Set();
+  keys.forEach((pk, i) => {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(pk)) {
+      console.warn(`[wallets] Skipping key #${i + 1}: not 0x + 64 hex chars`);
+      return;
+    }
+    const signer = new ethers.Wallet(pk, provider());
+    const address = signer.address;
+    if (seen.has(address.toLowerCase())) return;
+    seen.add(address.toLowerCase());
+    wallets.push({
+      address,
+      signer,
+      active: 0,       // attempts currently assigned
+      attempts: 0,
+      lastUsed: 0
+    });
+  });
+  if (wallets.length > 1) console.log(`[wallets] ${wallets.length} wallets in the pool`);
+  return wallets;
+}
+
+function wallets() {
+  if (!state.wallets) state.wallets = load();
+  if (!state.wallets.length) throw new Error('No usable private key: set EVM_PRIVATE_KEY');
+  return state.wallets;
+}
+
+function find(address) {
+  const a = String(address || '').toLowerCase();
+  return wallets().find(w => w.address.toLowerCase() === a) || null;
+}
+
+function size() {
+  return wallets().length;
+}
+
+function addresses() {
+  return wallets().map(w => w.address);
+}
+
+function primary() {
+  return wallets()[0].address;
+}
+
+/** Signer for `address` (the primary wallet when unknown or omitted). */
+function signer(address) {
+  return (find(address) || wallets()[0]).signer;
+}
+
+// Idle wallets first, then the one used longest ago
+function byIdleness(a, b) {
+  return a.active - b.active || a.lastUsed - b.lastUsed;
+}
+
+/**
+ * Pick a wallet for an attempt that may sell `tokens`. `isFree(key)` reports
+ * whether a lock key is free; a wallet qualifies when none of its
+ * `sell:<wallet>:<token>` keys are held. Returns { address, keys } or null.
+ */
+function assign(tokens, isFree) {
+  for (const w of wallets().slice().sort(byIdleness)) {
+    const keys = tokens.map(t => `sell:${w.address.toLowerCase()}:${String(t).toLowerCase()}`);
+    if (keys.every(isFree)) return { address: w.address, keys };
+  }
+  return null;
+}
+
+/** Mark a wallet busy for an attempt; pair with release(). */
+function acquire(address) {
+  const w = address ? find(address) : wallets().slice().sort(byIdleness)[0];
+  if (!w) return null;
+  w.active += 1;
+  w.attempts += 1;
+  w.lastUsed = Date.now();
+  return w.address;
+}
+
+function release(address) {
+  const w = find(address);
+  if (w && w.active > 0) w.active -= 1;
+}
+
+function snapshot() {
+  return (state.wallets || []).map(w => ({ address: w.address, active: w.active, attempts: w.attempts, lastUsed: w.lastUsed }));
+}
+
+module.exports = { size, addresses, primary, signer, assign, acquire, release, snapshot };
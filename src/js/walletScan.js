@@ -5,6 +5,7 @@
 const { ethers } = require('ethers');
 
 const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
 
 function toBlockNum(x){ return (typeof x === 'bigint') ? x : BigInt(x); }
 function topicFor(addr){
@@ -60,4 +61,44 @@ async function discoverWalletTokens(provider, wallet, fromBlock, toBlock, step=5
   return set;
 }
 
-module.exports = { discoverWalletTokens };
+/**
+ * discoverApprovals
+ * Every (token, spender) the wallet has ever approved, from Approval logs with
+ * owner = wallet. Includes approvals since revoked; read allowance() for the
+ * current amount.
+ * @returns {Promise<Array<{token: string, spender: string}>>}
+ */
+async function discoverApprovals(provider, wallet, fromBlock, toBlock, step=500){
+  const addrTopic = topicFor(wallet);
+  if (!addrTopic) throw new Error('Invalid wallet address for topic');
+
+  let start = toBlockNum(fromBlock);
+  const end = toBlockNum(toBlock);
+  const span = BigInt(step);
+
+  const seen = new Map();
+
+  while (start <= end){
+    const chunkEnd = (start + span > end) ? end : (start + span);
+    try {
+      const logs = await provider.getLogs({
+        fromBlock: start,
+        toBlock: chunkEnd,
+        topics: [APPROVAL_TOPIC, addrTopic]  // topic1 = owner
+      });
+      for (const lg of logs){
+        if (!lg?.address || !lg.topics || lg.topics.length < 3) continue;
+        const token = ethers.getAddress(lg.address);
+        const spender = ethers.getAddress('0x' + lg.topics[2].slice(26));
+        seen.set(`${token}:${spender}`, { token, spender });
+      }
+    } catch (e) {
+      // ignore; continue
+    }
+
+    start = chunkEnd + 1n;
+  }
+  return [...seen.values()];
+}
+
+module.exports = { discoverWalletTokens, discoverApprovals };